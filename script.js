@@ -2,51 +2,601 @@
 // Version: 2.0.0 - Production Ready
 
 // Game configuration constants
+// Rotation states follow SRS order: spawn (0), clockwise (R), 180 (2), counter-clockwise (L)
 const SHAPES = [
     // T shape
     [
-        [[1, 1, 1], [0, 1, 0]],
-        [[0, 1], [1, 1], [0, 1]],
-        [[0, 1, 0], [1, 1, 1]],
-        [[1, 0], [1, 1], [1, 0]]
+        [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+        [[0, 1, 0], [0, 1, 1], [0, 1, 0]],
+        [[0, 0, 0], [1, 1, 1], [0, 1, 0]],
+        [[0, 1, 0], [1, 1, 0], [0, 1, 0]]
     ],
     // J shape
     [
-        [[1, 0, 0], [1, 1, 1]],
-        [[0, 1], [0, 1], [1, 1]],
-        [[1, 1, 1], [0, 0, 1]],
-        [[1, 1], [1, 0], [1, 0]]
+        [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+        [[0, 1, 1], [0, 1, 0], [0, 1, 0]],
+        [[0, 0, 0], [1, 1, 1], [0, 0, 1]],
+        [[0, 1, 0], [0, 1, 0], [1, 1, 0]]
     ],
     // L shape
     [
-        [[0, 0, 1], [1, 1, 1]],
-        [[1, 1], [0, 1], [0, 1]],
-        [[1, 1, 1], [1, 0, 0]],
-        [[1, 0], [1, 0], [1, 1]]
+        [[0, 0, 1], [1, 1, 1], [0, 0, 0]],
+        [[0, 1, 0], [0, 1, 0], [0, 1, 1]],
+        [[0, 0, 0], [1, 1, 1], [1, 0, 0]],
+        [[1, 1, 0], [0, 1, 0], [0, 1, 0]]
     ],
     // O shape
     [
+        [[1, 1], [1, 1]],
+        [[1, 1], [1, 1]],
+        [[1, 1], [1, 1]],
         [[1, 1], [1, 1]]
     ],
     // S shape
     [
-        [[0, 1, 1], [1, 1, 0]],
-        [[1, 0], [1, 1], [0, 1]]
+        [[0, 1, 1], [1, 1, 0], [0, 0, 0]],
+        [[0, 1, 0], [0, 1, 1], [0, 0, 1]],
+        [[0, 0, 0], [0, 1, 1], [1, 1, 0]],
+        [[1, 0, 0], [1, 1, 0], [0, 1, 0]]
     ],
     // Z shape
     [
-        [[1, 1, 0], [0, 1, 1]],
-        [[0, 1], [1, 1], [1, 0]]
+        [[1, 1, 0], [0, 1, 1], [0, 0, 0]],
+        [[0, 0, 1], [0, 1, 1], [0, 1, 0]],
+        [[0, 0, 0], [1, 1, 0], [0, 1, 1]],
+        [[0, 1, 0], [1, 1, 0], [1, 0, 0]]
     ],
     // I shape
     [
-        [[1, 1, 1, 1]],
-        [[1], [1], [1], [1]]
+        [[0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+        [[0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0]],
+        [[0, 0, 0, 0], [0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0]],
+        [[0, 1, 0, 0], [0, 1, 0, 0], [0, 1, 0, 0], [0, 1, 0, 0]]
     ]
 ];
 
+const PIECE_NAMES = ['T', 'J', 'L', 'O', 'S', 'Z', 'I'];
+
+const ROTATION_STATES = ['0', 'R', '2', 'L'];
+
+// SRS wall kick offsets as published (x right, y up), keyed by "from" + "to" state
+const SRS_KICKS_JLSTZ = {
+    '0R': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    'R0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    'R2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    '2R': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2L': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    'L2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    'L0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0L': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const SRS_KICKS_I = {
+    '0R': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    'R0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    'R2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2R': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2L': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    'L2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    'L0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0L': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// SRS has no 180 rotation; these are the widely used SRS+ 180 kicks
+const SRS_KICKS_180 = {
+    '02': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '20': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    'RL': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    'LR': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+// Guideline point values, multiplied by the level; indexed by lines cleared
+const SCORE_TABLE = {
+    lines: [0, 100, 300, 500, 800],
+    tSpin: [400, 800, 1200, 1600],
+    miniTSpin: [100, 200, 400],
+    perfectClear: [0, 800, 1200, 1800, 2000],
+    backToBackPerfectTetris: 3200,
+    combo: 50,
+    softDrop: 1,
+    hardDrop: 2
+};
+
 const COLORS = ['#ff4444', '#44ff44', '#4444ff', '#ffff44', '#ff44ff', '#44ffff', '#ff8844'];
 
+// Board cells hold shapeIndex + 1 for locked pieces; garbage rows use the next value
+const GARBAGE_CELL = SHAPES.length + 1;
+
+// Actions understood by the engine; input adapters translate devices into these
+const ENGINE_ACTIONS = ['moveLeft', 'moveRight', 'softDrop', 'hardDrop', 'rotateCW', 'rotateCCW', 'rotate180', 'hold'];
+
+// Actions that stay active while held and need a matching release
+const HELD_ACTIONS = ['moveLeft', 'moveRight', 'softDrop'];
+
+// Actions that ignore key presses repeated within the debounce window
+const DEBOUNCED_ACTIONS = ['rotateCW', 'rotateCCW', 'rotate180', 'hardDrop'];
+
+// The simulation always advances in 60Hz frames, whatever the display rate
+const TICK_DURATION = 1000 / 60;
+
+// Absorbs float error from summing 1000 / 60 ms frames, so 60 frames make exactly one second
+const TIME_EPSILON = 1e-9;
+
+// Most frames simulated per animation frame; longer stalls slow the game down instead of
+// making it spiral into ever longer catch-up frames
+const MAX_CATCH_UP_FRAMES = 15;
+
+const REPLAY_VERSION = 1;
+const REPLAY_MAX_SIZE = 5 * 1024 * 1024;
+const REPLAY_MIN_SPEED = 0.25;
+const REPLAY_MAX_SPEED = 4;
+
+// The browser game also binds keys to these, handled outside the engine
+const BINDABLE_ACTIONS = [...ENGINE_ACTIONS, 'pause', 'restart', 'mute'];
+
+const ACTION_LABELS = {
+    moveLeft: 'Move Left',
+    moveRight: 'Move Right',
+    softDrop: 'Soft Drop',
+    hardDrop: 'Hard Drop',
+    rotateCW: 'Rotate',
+    rotateCCW: 'Rotate Left',
+    rotate180: 'Rotate 180',
+    hold: 'Hold',
+    pause: 'Pause',
+    restart: 'Restart',
+    mute: 'Mute'
+};
+
+// Keys are KeyboardEvent.key values; letters are stored lowercase so Shift and Caps Lock don't matter
+const DEFAULT_BINDINGS = {
+    moveLeft: ['ArrowLeft'],
+    moveRight: ['ArrowRight'],
+    softDrop: ['ArrowDown'],
+    hardDrop: [' '],
+    rotateCW: ['ArrowUp', 'x'],
+    rotateCCW: ['z'],
+    rotate180: ['a'],
+    hold: ['c', 'Shift'],
+    pause: ['p'],
+    restart: ['r'],
+    mute: ['m']
+};
+
+// Built-in profiles can't be changed; editing one saves a copy as a custom profile
+const BUILTIN_BINDING_PROFILES = {
+    Standard: DEFAULT_BINDINGS,
+    WASD: {
+        moveLeft: ['a'],
+        moveRight: ['d'],
+        softDrop: ['s'],
+        hardDrop: ['w', ' '],
+        rotateCW: ['ArrowRight', 'k'],
+        rotateCCW: ['ArrowLeft', 'j'],
+        rotate180: ['ArrowUp', 'l'],
+        hold: ['ArrowDown', 'Shift'],
+        pause: ['p'],
+        restart: ['r'],
+        mute: ['m']
+    }
+};
+
+const KEY_DISPLAY_NAMES = {
+    ' ': 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+const CONTROLS_VERSION = 1;
+const MAX_KEYS_PER_ACTION = 4;
+const MAX_CUSTOM_PROFILES = 10;
+
+// Names for the W3C "standard" gamepad mapping, indexed by button number
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+
+// Buttons are stored as 'Button<n>' so controllers share KeyBindings with the keyboard
+const DEFAULT_GAMEPAD_BINDINGS = {
+    moveLeft: ['Button14'],
+    moveRight: ['Button15'],
+    softDrop: ['Button13'],
+    hardDrop: ['Button12'],
+    rotateCW: ['Button1', 'Button3'],
+    rotateCCW: ['Button0', 'Button2'],
+    rotate180: [],
+    hold: ['Button4', 'Button5'],
+    pause: ['Button9'],
+    restart: ['Button8'],
+    mute: []
+};
+
+// The left stick counts as a d-pad direction once pushed this far
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+const MAX_STORED_GAMEPADS = 10;
+
+// Touch gestures: a tap is short and nearly still; a flick is fast at the moment of release
+const TOUCH_TAP_MAX_TIME = 250;
+const TOUCH_TAP_MAX_DISTANCE = 10;
+const TOUCH_FLICK_VELOCITY = 1; // px per ms, divided by sensitivity
+const TOUCH_FLICK_WINDOW = 100; // ms of movement used to measure release speed
+const TOUCH_BUTTON_MODES = ['auto', 'on', 'off'];
+
+// Synthesized sound effects; each tone's delay and duration are in seconds
+const SOUND_EFFECTS = {
+    move: [{ wave: 'square', frequency: 220, duration: 0.03, volume: 0.1 }],
+    rotate: [{ wave: 'square', frequency: 440, endFrequency: 660, duration: 0.05, volume: 0.1 }],
+    lock: [{ wave: 'triangle', frequency: 160, endFrequency: 90, duration: 0.08, volume: 0.3 }],
+    hardDrop: [{ wave: 'sawtooth', frequency: 320, endFrequency: 60, duration: 0.12, volume: 0.25 }],
+    garbage: [{ wave: 'square', frequency: 110, endFrequency: 150, duration: 0.1, volume: 0.2 }],
+    clear1: [
+        { wave: 'square', frequency: 523, duration: 0.12, volume: 0.2 }
+    ],
+    clear2: [
+        { wave: 'square', frequency: 523, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 659, delay: 0.07, duration: 0.14, volume: 0.2 }
+    ],
+    clear3: [
+        { wave: 'square', frequency: 523, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 659, delay: 0.07, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 784, delay: 0.14, duration: 0.16, volume: 0.2 }
+    ],
+    clear4: [
+        { wave: 'square', frequency: 523, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 659, delay: 0.07, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 784, delay: 0.14, duration: 0.1, volume: 0.2 },
+        { wave: 'square', frequency: 1047, delay: 0.21, duration: 0.3, volume: 0.25 }
+    ],
+    levelUp: [
+        { wave: 'triangle', frequency: 784, duration: 0.1, volume: 0.3 },
+        { wave: 'triangle', frequency: 1047, delay: 0.1, duration: 0.1, volume: 0.3 },
+        { wave: 'triangle', frequency: 1319, delay: 0.2, duration: 0.1, volume: 0.3 },
+        { wave: 'triangle', frequency: 1568, delay: 0.3, duration: 0.3, volume: 0.3 }
+    ],
+    complete: [
+        { wave: 'square', frequency: 523, duration: 0.12, volume: 0.2 },
+        { wave: 'square', frequency: 659, delay: 0.12, duration: 0.12, volume: 0.2 },
+        { wave: 'square', frequency: 784, delay: 0.24, duration: 0.12, volume: 0.2 },
+        { wave: 'triangle', frequency: 1047, delay: 0.36, duration: 0.6, volume: 0.3 }
+    ],
+    gameOver: [
+        { wave: 'sawtooth', frequency: 392, duration: 0.25, volume: 0.2 },
+        { wave: 'sawtooth', frequency: 330, delay: 0.25, duration: 0.25, volume: 0.2 },
+        { wave: 'sawtooth', frequency: 262, delay: 0.5, duration: 0.25, volume: 0.2 },
+        { wave: 'sawtooth', frequency: 196, endFrequency: 98, delay: 0.75, duration: 0.8, volume: 0.2 }
+    ]
+};
+
+// Background music: one chord per bar as MIDI notes, bass note first
+const MUSIC_PROGRESSION = [
+    [45, 57, 60, 64], // Am
+    [41, 53, 57, 60], // F
+    [48, 55, 60, 64], // C
+    [43, 55, 59, 62]  // G
+];
+const MUSIC_BASE_TEMPO = 100; // beats per minute at level 1
+const MUSIC_TEMPO_STEP = 6; // added per level
+const MUSIC_MAX_TEMPO = 200;
+const MUSIC_LOOKAHEAD = 0.1; // seconds of notes scheduled ahead of the audio clock
+const MUSIC_SCHEDULE_INTERVAL = 25; // ms between scheduler runs
+const MIN_SOUND_INTERVAL = 0.03; // seconds before the same effect can play again
+const AUDIO_VERSION = 1;
+
+// Themes: piece colors are indexed like SHAPES; ui colors become CSS custom properties
+const THEME_VERSION = 1;
+const THEME_MAX_SIZE = 64 * 1024;
+const MAX_CUSTOM_THEMES = 10;
+const BLOCK_STYLES = ['flat', 'beveled', 'glossy', 'pattern'];
+const THEME_UI_PROPERTIES = {
+    background: '--background',
+    text: '--text',
+    panel: '--panel',
+    surface: '--surface',
+    border: '--border',
+    accent: '--accent',
+    highlight: '--highlight'
+};
+
+const BUILTIN_THEMES = {
+    Classic: {
+        blockStyle: 'flat',
+        pieces: COLORS,
+        board: { background: '#000000', grid: null, outline: '#ffffff', clearing: '#ffffff', garbage: '#888888' },
+        ui: {
+            background: '#000000',
+            text: '#ffffff',
+            panel: '#111111',
+            surface: '#222222',
+            border: '#333333',
+            accent: '#ff4444',
+            highlight: '#ffff44'
+        }
+    },
+    Modern: {
+        blockStyle: 'beveled',
+        pieces: ['#a000f0', '#0000f0', '#f0a000', '#f0f000', '#00f000', '#f00000', '#00f0f0'],
+        board: { background: '#101018', grid: '#1c1c2a', outline: null, clearing: '#ffffff', garbage: '#6a6a7a' },
+        ui: {
+            background: '#0a0a10',
+            text: '#e8e8f0',
+            panel: '#14141e',
+            surface: '#1e1e2c',
+            border: '#2e2e44',
+            accent: '#00b4f0',
+            highlight: '#f0f000'
+        }
+    },
+    Neon: {
+        blockStyle: 'glossy',
+        pieces: ['#ff00ff', '#3d5afe', '#ff9100', '#ffea00', '#00e676', '#ff1744', '#00e5ff'],
+        board: { background: '#05010f', grid: '#1a0f33', outline: null, clearing: '#ffffff', garbage: '#4a4060' },
+        ui: {
+            background: '#05010f',
+            text: '#f0e6ff',
+            panel: '#0e0620',
+            surface: '#1a0f33',
+            border: '#3a1f6e',
+            accent: '#ff00ff',
+            highlight: '#00e5ff'
+        }
+    },
+    // Okabe-Ito palette, with a different pattern on every piece so color is never the only cue
+    Colorblind: {
+        blockStyle: 'pattern',
+        pieces: ['#cc79a7', '#0072b2', '#e69f00', '#f0e442', '#009e73', '#d55e00', '#56b4e9'],
+        board: { background: '#000000', grid: '#222222', outline: '#000000', clearing: '#ffffff', garbage: '#999999' },
+        ui: {
+            background: '#000000',
+            text: '#ffffff',
+            panel: '#111111',
+            surface: '#222222',
+            border: '#444444',
+            accent: '#56b4e9',
+            highlight: '#f0e442'
+        }
+    }
+};
+const DEFAULT_THEME = 'Classic';
+
+// Game modes: a line goal ends the game when reached, a time limit when it runs out.
+// Garbage modes start with startGarbage rows and add one every garbageInterval ms, or
+// sooner once garbagePieces pieces have locked; clearing garbageGoal of them wins.
+// Time-ranked modes only list finished runs, every other mode is ranked by score.
+// Puzzle mode plays one PuzzleLevel and is never ranked; progress is kept per puzzle
+const GAME_MODES = {
+    classic: {
+        name: 'Endless',
+        description: 'Play until you top out',
+        ranking: 'score'
+    },
+    sprint: {
+        name: 'Sprint',
+        description: 'Clear 40 lines as fast as you can',
+        lineGoal: 40,
+        levelUp: false,
+        ranking: 'time'
+    },
+    ultra: {
+        name: 'Ultra',
+        description: 'Score as much as you can in 2 minutes',
+        timeLimit: 120000,
+        ranking: 'score'
+    },
+    marathon: {
+        name: 'Marathon',
+        description: 'Clear 150 lines through 15 levels',
+        lineGoal: 150,
+        ranking: 'score'
+    },
+    dig: {
+        name: 'Dig',
+        description: 'Dig out 10 garbage lines while more keep rising',
+        startGarbage: 6,
+        garbageInterval: 10000,
+        garbagePieces: 8,
+        garbageGoal: 10,
+        levelUp: false,
+        ranking: 'time'
+    },
+    puzzle: {
+        name: 'Puzzle',
+        description: 'Reach the goal of a hand-made board with the pieces given',
+        levelUp: false,
+        puzzle: true
+    }
+};
+
+// Leaderboard: the best LEADERBOARD_SIZE games of each mode
+const LEADERBOARD_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_NAME_LENGTH = 3;
+const LEADERBOARD_UNNAMED = '???';
+const MAX_SCORE = 999999999;
+
+// Suspended games saved on pause, hide and unload
+const SAVE_VERSION = 1;
+
+// Versus: garbage rows sent per clear. Combos index the combo table (capped at its last
+// entry); back-to-back and perfect clears add on top
+const ATTACK_TABLE = {
+    lines: [0, 0, 1, 2, 4],
+    tSpin: [0, 2, 4, 6],
+    miniTSpin: [0, 0, 1],
+    combo: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5],
+    backToBack: 1,
+    perfectClear: 10
+};
+
+// Two players on one keyboard: the left hand plays on the letters, the right on the arrows.
+// Pause, rematch and mute are shared
+const VERSUS_BINDINGS = [
+    {
+        moveLeft: ['a'],
+        moveRight: ['d'],
+        softDrop: ['s'],
+        hardDrop: ['w'],
+        rotateCW: ['e'],
+        rotateCCW: ['q'],
+        rotate180: ['x'],
+        hold: ['c']
+    },
+    {
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        softDrop: ['ArrowDown'],
+        hardDrop: ['ArrowUp'],
+        rotateCW: ['.'],
+        rotateCCW: [','],
+        rotate180: ['l'],
+        hold: ['/']
+    }
+];
+const VERSUS_SHARED_BINDINGS = { pause: ['p'], restart: ['r'], mute: ['m'] };
+
+// Online versus: JSON messages carrying the protocol version in v. server.js relays them
+// and must use the same version
+const PROTOCOL_VERSION = 1;
+const NETWORK_MAX_MESSAGE_SIZE = 16 * 1024;
+const ROOM_CODE_PATTERN = /^[A-Z]{4}$/;
+const MAX_ATTACK_ROWS = 50;
+const MINI_BLOCK_SIZE = 8;
+
+// AI heuristic weights, applied to the board after a placement (tuned by Yiyuan Lee's
+// genetic search). Lines cleared is rewarded, everything else penalized
+const AI_WEIGHTS = {
+    aggregateHeight: -0.510066,
+    linesCleared: 0.760666,
+    holes: -0.35663,
+    bumpiness: -0.184483
+};
+
+// Demo speeds: ms between AI inputs. Instant places a whole piece every frame
+const AI_SPEEDS = {
+    slow: { name: 'Slow', interval: 250 },
+    normal: { name: 'Normal', interval: 100 },
+    fast: { name: 'Fast', interval: 30 },
+    instant: { name: 'Instant', interval: 0 }
+};
+const AI_DEMO_RESTART_DELAY = 3000;
+
+// Per-game statistics. Finesse counts the moves and rotations of each piece
+const STATS_VERSION = 1;
+const STATS_HISTORY_SIZE = 100;
+const CLEAR_TYPES = ['single', 'double', 'triple', 'tetris'];
+const FINESSE_ACTIONS = ['moveLeft', 'moveRight', 'rotateCW', 'rotateCCW', 'rotate180'];
+
+// Puzzles: a starting board, a fixed piece sequence and a goal. Board rows are strings of
+// PUZZLE_CELLS, listed top to bottom; a character's index is its cell value (empty, the
+// seven pieces, then garbage)
+const PUZZLE_VERSION = 1;
+const PUZZLE_MAX_SIZE = 256 * 1024;
+const PUZZLE_CELLS = '.' + PIECE_NAMES.join('') + 'G';
+const PUZZLE_GOALS = ['lines', 'tSpin', 'perfectClear'];
+const PUZZLE_MAX_PIECES = 50;
+const MAX_CUSTOM_PUZZLES = 50;
+
+// Board editor: a position is shared as "<width>x<height>-<cells>-<pieces>-<hold>", with the
+// cells run-length encoded in PUZZLE_CELLS
+const POSITION_CODE_MAX_LENGTH = 4096;
+const POSITION_MAX_PIECES = 50;
+const BOARD_CODE_PATTERN = new RegExp('^(\\d{1,2})x(\\d{1,2})-((?:(?:[1-9]\\d*)?[' + PUZZLE_CELLS + '])+)$');
+
+// Built-in puzzles, drawn for the default 12 x 20 board
+const PUZZLE_LEVELS = [
+    {
+        id: 'first-tetris',
+        name: 'First Tetris',
+        description: 'Drop the I piece into the well',
+        board: [
+            'GGGGGGGGGGG.',
+            'GGGGGGGGGGG.',
+            'GGGGGGGGGGG.',
+            'GGGGGGGGGGG.'
+        ],
+        pieces: 'I',
+        goal: { type: 'lines', lines: 4 }
+    },
+    {
+        id: 'fill-the-gaps',
+        name: 'Fill the Gaps',
+        description: 'Each gap has a piece that fits it',
+        board: [
+            'GGGG...GGG..',
+            'GGGGG.GGGG..'
+        ],
+        pieces: 'TO',
+        goal: { type: 'lines', lines: 2 }
+    },
+    {
+        id: 't-spin-single',
+        name: 'T-Spin Single',
+        description: 'Spin the T under the overhang',
+        board: [
+            'GGGG........',
+            'GGG...GGGG..',
+            'GGGG.GGGGGGG'
+        ],
+        pieces: 'T',
+        goal: { type: 'tSpin', lines: 1 }
+    },
+    {
+        id: 't-spin-double',
+        name: 'T-Spin Double',
+        description: 'The same slot, but both rows clear',
+        board: [
+            'GGGG........',
+            'GGG...GGGGGG',
+            'GGGG.GGGGGGG'
+        ],
+        pieces: 'T',
+        goal: { type: 'tSpin', lines: 2 }
+    },
+    {
+        id: 'saved-for-later',
+        name: 'Saved for Later',
+        description: 'The I piece is waiting in hold',
+        board: [
+            'GGGGGGGGG...',
+            'GGGGGGGGG...',
+            'GGGGGGGGGGG.',
+            'GGGGGGGGGGG.'
+        ],
+        pieces: 'O',
+        hold: 'I',
+        goal: { type: 'lines', lines: 4 }
+    },
+    {
+        id: 'clean-sweep',
+        name: 'Clean Sweep',
+        description: 'Leave nothing behind',
+        board: [
+            'GGGGGGGGG...',
+            'GGGGGGGGG...',
+            'GGGGGGGGG...',
+            'GGGGGGGGG...'
+        ],
+        pieces: 'ILJ',
+        goal: { type: 'perfectClear' }
+    },
+    {
+        id: 'four-in-five',
+        name: 'Four in Five',
+        description: 'Plan all five pieces before the first drop',
+        board: [
+            'GGGGG..GGGG.',
+            'GGGGG..GGGG.',
+            'GG.GGGGGG...',
+            'GG..GGGGGGG.'
+        ],
+        pieces: 'OLJIT',
+        goal: { type: 'lines', lines: 4 }
+    }
+];
+
 // Custom Error Classes
 class ValidationError extends Error {
     constructor(message) {
@@ -97,371 +647,806 @@ class SecurityValidator {
         
         return !xssPatterns.some(pattern => pattern.test(input));
     }
+    
+    // Names users type in must already be safe to show as they are
+    isValidName(name, maxLength) {
+        return typeof name === 'string' && name.length > 0 && name.length <= maxLength &&
+            this.validateInput(name) && this.sanitizeString(name) === name;
+    }
 }
 
-// Enhanced Input Handler Class
-class InputHandler {
-    constructor(game) {
-        this.game = game;
-        this.keys = {};
-        this.keyDebounce = {};
-        this.lastKeyTime = {};
-        this.eventListeners = [];
-        this.bindEvents();
+// Seeded Random Class
+// Mulberry32: small, fast and identical across JS engines, so a seed always replays the same pieces
+class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
     }
     
-    bindEvents() {
-        this.keyDownHandler = this.handleKeyDown.bind(this);
-        this.keyUpHandler = this.handleKeyUp.bind(this);
-        this.blurHandler = this.handleBlur.bind(this);
-        this.focusHandler = this.handleFocus.bind(this);
-        this.visibilityHandler = this.handleVisibilityChange.bind(this);
-        
-        document.addEventListener('keydown', this.keyDownHandler);
-        document.addEventListener('keyup', this.keyUpHandler);
-        window.addEventListener('blur', this.blurHandler);
-        window.addEventListener('focus', this.focusHandler);
-        document.addEventListener('visibilitychange', this.visibilityHandler);
-        
-        this.eventListeners.push(
-            { element: document, event: 'keydown', handler: this.keyDownHandler },
-            { element: document, event: 'keyup', handler: this.keyUpHandler },
-            { element: window, event: 'blur', handler: this.blurHandler },
-            { element: window, event: 'focus', handler: this.focusHandler },
-            { element: document, event: 'visibilitychange', handler: this.visibilityHandler }
-        );
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
     
-    handleKeyDown(e) {
-        if (this.keys[e.key]) return; // Prevent key repeat
-        this.keys[e.key] = true;
-        
-        const now = Date.now();
-        const debounceKey = ['ArrowUp', ' '].includes(e.key);
+    // Only picks seeds; everything inside a game draws from the seeded generator
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
+
+// Piece Generator Classes
+class RandomPieceGenerator {
+    constructor(random = Math.random) {
+        this.random = random;
+    }
+    
+    next() {
+        return Math.floor(this.random() * SHAPES.length);
+    }
+    
+    // Generators expose their internal state so saved games can continue the same sequence
+    getState() {
+        return {};
+    }
+    
+    setState() {}
+    
+    static isValidState(state) {
+        return !!state && typeof state === 'object';
+    }
+}
+
+class BagPieceGenerator {
+    constructor(random = Math.random) {
+        this.random = random;
+        this.bag = [];
+    }
+    
+    refill() {
+        this.bag = SHAPES.map((shape, index) => index);
         
-        if (debounceKey && this.lastKeyTime[e.key] && 
-            now - this.lastKeyTime[e.key] < this.game.CONFIG.KEY_DEBOUNCE_TIME) {
-            return;
+        // Fisher-Yates shuffle
+        for (let i = this.bag.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
         }
-        
-        this.lastKeyTime[e.key] = now;
-        this.processKeyInput(e);
     }
     
-    handleKeyUp(e) {
-        this.keys[e.key] = false;
+    next() {
+        if (this.bag.length === 0) {
+            this.refill();
+        }
+        return this.bag.shift();
     }
     
-    handleBlur() {
-        if (this.game.gameState.gameRunning && !this.game.gameState.gameOver) {
-            this.game.pauseGame();
-        }
+    getState() {
+        return { bag: [...this.bag] };
     }
     
-    handleFocus() {
-        // Reset inactivity timer when window gains focus
-        this.game.gameState.inactivityTimer = 0;
+    setState(state) {
+        this.bag = [...state.bag];
     }
     
-    handleVisibilityChange() {
-        if (document.hidden && this.game.gameState.gameRunning && !this.game.gameState.gameOver) {
-            this.game.pauseGame();
-        }
+    // What is left of a bag: distinct pieces
+    static isValidState(state) {
+        return !!state && Array.isArray(state.bag) && state.bag.length < SHAPES.length &&
+            state.bag.every(piece => Number.isInteger(piece) && piece >= 0 && piece < SHAPES.length) &&
+            new Set(state.bag).size === state.bag.length;
+    }
+}
+
+// TGM-style generator: rerolls pieces found in the recent history
+class HistoryPieceGenerator {
+    constructor(random = Math.random, historySize = 4, rerolls = 6) {
+        this.random = random;
+        this.historySize = historySize;
+        this.rerolls = rerolls;
+        this.history = [];
     }
     
-    processKeyInput(e) {
-        try {
-            if (this.game.gameState.gameOver) {
-                if (e.key === 'r' || e.key === 'R') {
-                    e.preventDefault();
-                    this.game.restart();
-                }
-                return;
-            }
-            
-            // Reset inactivity timer on valid game input
-            if (['ArrowLeft', 'ArrowRight', 'ArrowDown', 'ArrowUp', ' '].includes(e.key)) {
-                this.game.gameState.inactivityTimer = 0;
-            }
-            
-            if (this.game.gameState.gamePaused) {
-                if (e.key === 'p' || e.key === 'P') {
-                    e.preventDefault();
-                    this.game.pauseGame();
-                }
-                return;
-            }
-            
-            if (!this.game.gameState.currentPiece || !this.game.gameState.gameRunning) {
-                return;
-            }
-            
-            switch (e.key) {
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.game.movePiece(-1, 0);
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.game.movePiece(1, 0);
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    if (this.game.movePiece(0, 1)) {
-                        this.game.gameState.score += 1;
-                    }
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    this.game.rotatePiece();
-                    break;
-                case ' ':
-                    e.preventDefault();
-                    this.game.hardDrop();
-                    break;
-                case 'p':
-                case 'P':
-                    e.preventDefault();
-                    this.game.pauseGame();
-                    break;
-                case 'r':
-                case 'R':
-                    e.preventDefault();
-                    this.game.restart();
-                    break;
-            }
-        } catch (error) {
-            this.game.handleGameError('Input processing error', error);
+    next() {
+        let piece = Math.floor(this.random() * SHAPES.length);
+        
+        for (let i = 0; i < this.rerolls && this.history.includes(piece); i++) {
+            piece = Math.floor(this.random() * SHAPES.length);
+        }
+        
+        this.history.push(piece);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
         }
+        return piece;
     }
     
-    reset() {
-        this.keys = {};
-        this.keyDebounce = {};
-        this.lastKeyTime = {};
+    getState() {
+        return { history: [...this.history] };
     }
     
-    cleanup() {
-        this.eventListeners.forEach(({ element, event, handler }) => {
-            element.removeEventListener(event, handler);
-        });
-        this.eventListeners = [];
+    setState(state) {
+        this.history = [...state.history];
+    }
+    
+    static isValidState(state) {
+        return !!state && Array.isArray(state.history) && state.history.length <= SHAPES.length &&
+            state.history.every(piece => Number.isInteger(piece) && piece >= 0 && piece < SHAPES.length);
     }
 }
 
-// Main Tetris Game Class
-class TetrisGame {
-    constructor(config = {}) {
-        // Validate and set configuration
-        this.CONFIG = this.validateConfig({
-            BOARD_WIDTH: config.boardWidth || 12,
-            BOARD_HEIGHT: config.boardHeight || 20,
-            BLOCK_SIZE: config.blockSize || 20,
-            MAX_LEVEL: config.maxLevel || 100,
-            KEY_DEBOUNCE_TIME: config.keyDebounceTime || 150,
-            MAX_INACTIVITY: config.maxInactivity || 60000,
-            MAX_ERRORS: config.maxErrors || 5
-        });
+const PIECE_GENERATORS = {
+    random: RandomPieceGenerator,
+    bag: BagPieceGenerator,
+    history: HistoryPieceGenerator
+};
+
+// Piece Queue Class
+// A given sequence comes out first. A fixed one (a puzzle's pieces) is played once, with
+// nothing generated after it; otherwise the generator takes over where it ends
+class PieceQueue {
+    constructor(generatorName = 'bag', previewCount = 5, random = Math.random, sequence = [], fixed = false) {
+        const Generator = PIECE_GENERATORS[generatorName];
+        if (!Generator) {
+            throw new ValidationError('Unknown piece generator: ' + generatorName);
+        }
         
-        // Performance monitoring
-        this.performanceMetrics = {
-            frameCount: 0,
-            startTime: performance.now(),
-            lastFrameTime: 0,
-            avgFrameTime: 0,
-            memoryUsage: 0,
-            fps: 60
-        };
+        this.generator = new Generator(random);
+        this.previewCount = previewCount;
+        this.fixed = fixed;
+        this.queue = [...sequence];
+        this.fill();
+    }
+    
+    fill() {
+        if (this.fixed) return;
         
-        // Error handling
-        this.errorCount = 0;
-        this.criticalErrors = [];
+        // Always keep at least one piece buffered, even with the preview hidden
+        while (this.queue.length < Math.max(1, this.previewCount)) {
+            this.queue.push(this.generator.next());
+        }
+    }
+    
+    next() {
+        const shapeIndex = this.queue.shift();
+        this.fill();
+        return shapeIndex;
+    }
+    
+    peek(count = this.previewCount) {
+        return this.queue.slice(0, count);
+    }
+    
+    isEmpty() {
+        return this.queue.length === 0;
+    }
+}
+
+// Rotation System Class
+class RotationSystem {
+    constructor(name = 'srs') {
+        if (!RotationSystem.NAMES.includes(name)) {
+            throw new ValidationError('Unknown rotation system: ' + name);
+        }
+        this.name = name;
+    }
+    
+    // Returns kick offsets in board coordinates (y grows downward)
+    getKicks(shapeIndex, from, to) {
+        return this.getTableKicks(shapeIndex, from, to).map(([x, y]) => [x, y === 0 ? 0 : -y]);
+    }
+    
+    // Returns kick offsets exactly as listed in the SRS tables (y grows upward)
+    getTableKicks(shapeIndex, from, to) {
+        if (this.name === 'classic' || PIECE_NAMES[shapeIndex] === 'O') {
+            return [[0, 0]];
+        }
         
-        // Memory management
-        this.eventListeners = [];
-        this.animationId = null;
-        this.timers = [];
-        this.performanceInterval = null;
+        const key = ROTATION_STATES[from] + ROTATION_STATES[to];
+        let table = PIECE_NAMES[shapeIndex] === 'I' ? SRS_KICKS_I : SRS_KICKS_JLSTZ;
+        if ((to - from + 4) % 4 === 2) {
+            table = SRS_KICKS_180;
+        }
         
-        // Cross-browser compatibility
-        this.setupPolyfills();
+        return table[key] || [[0, 0]];
+    }
+}
+
+RotationSystem.NAMES = ['srs', 'classic'];
+
+// Scoring Engine Class
+class ScoringEngine {
+    // 3-corner rule: a rotated T with three blocked corners is a T-spin; it is
+    // a mini unless both corners on its pointing side are blocked
+    detectTSpin(board, piece, lastRotation) {
+        if (!lastRotation || PIECE_NAMES[piece.shapeIndex] !== 'T') {
+            return 'none';
+        }
         
-        // Game state
-        this.gameState = this.createInitialGameState();
+        const { x, y, rotation } = piece;
         
-        // Input handling
-        this.inputHandler = new InputHandler(this);
+        // Corners of the 3x3 box, clockwise from top-left
+        const blocked = [[x, y], [x + 2, y], [x + 2, y + 2], [x, y + 2]]
+            .map(([cornerX, cornerY]) => this.isBlocked(board, cornerX, cornerY));
         
-        // Security measures
-        this.securityValidator = new SecurityValidator();
+        if (blocked.filter(Boolean).length < 3) {
+            return 'none';
+        }
         
-        // Global error handler
-        this.setupErrorHandling();
+        if (blocked[rotation] && blocked[(rotation + 1) % 4]) {
+            return 'full';
+        }
         
-        this.init();
+        // The last SRS kick (the T-spin triple kick) always counts as a full T-spin
+        return lastRotation.direction !== 2 && lastRotation.kickIndex === 4 ? 'full' : 'mini';
     }
     
-    validateConfig(config) {
-        const errors = [];
+    isBlocked(board, x, y) {
+        if (x < 0 || x >= board[0].length || y >= board.length) return true;
+        if (y < 0) return false;
+        return board[y][x] !== 0;
+    }
+    
+    // Scores one lock; streaks carries the combo counter and back-to-back flag
+    scoreLock({ linesCleared, tSpin = 'none', perfectClear = false }, level, streaks) {
+        let { combo, backToBack } = streaks;
+        let points;
+        let action = '';
         
-        if (config.BOARD_WIDTH < 4 || config.BOARD_WIDTH > 50) {
-            errors.push('Board width must be between 4 and 50');
+        if (tSpin === 'full') {
+            points = SCORE_TABLE.tSpin[linesCleared];
+            action = 'T-SPIN' + ['', ' SINGLE', ' DOUBLE', ' TRIPLE'][linesCleared];
+        } else if (tSpin === 'mini') {
+            points = SCORE_TABLE.miniTSpin[Math.min(linesCleared, 2)];
+            action = 'MINI T-SPIN' + ['', ' SINGLE', ' DOUBLE'][Math.min(linesCleared, 2)];
+        } else {
+            points = SCORE_TABLE.lines[linesCleared];
+            action = linesCleared === 4 ? 'TETRIS' : '';
         }
-        if (config.BOARD_HEIGHT < 4 || config.BOARD_HEIGHT > 50) {
-            errors.push('Board height must be between 4 and 50');
+        
+        // Tetrises and line-clearing T-spins keep the back-to-back chain alive;
+        // other clears break it, locks without clears leave it untouched
+        let backToBackBonus = false;
+        if (linesCleared > 0) {
+            const difficult = linesCleared === 4 || tSpin !== 'none';
+            backToBackBonus = difficult && backToBack;
+            backToBack = difficult;
+            combo++;
+        } else {
+            combo = -1;
         }
-        if (config.BLOCK_SIZE < 1 || config.BLOCK_SIZE > 100) {
-            errors.push('Block size must be between 1 and 100');
+        
+        if (backToBackBonus) {
+            points *= 1.5;
+            action = 'B2B ' + action;
         }
-        if (config.MAX_LEVEL < 1 || config.MAX_LEVEL > 1000) {
-            errors.push('Max level must be between 1 and 1000');
+        
+        points *= level;
+        
+        if (combo > 0) {
+            points += SCORE_TABLE.combo * combo * level;
         }
         
-        if (errors.length > 0) {
-            throw new ValidationError('Configuration validation failed: ' + errors.join(', '));
+        if (perfectClear) {
+            const bonus = backToBackBonus && linesCleared === 4 ?
+                SCORE_TABLE.backToBackPerfectTetris :
+                SCORE_TABLE.perfectClear[linesCleared];
+            points += bonus * level;
         }
         
-        return config;
+        const labels = [];
+        if (action) labels.push(action);
+        if (combo > 0) labels.push(combo + ' COMBO');
+        if (perfectClear) labels.push('PERFECT CLEAR');
+        
+        return { points: Math.floor(points), combo, backToBack, backToBackBonus, labels };
     }
-    
-    setupPolyfills() {
-        // RequestAnimationFrame polyfill
-        if (!window.requestAnimationFrame) {
-            window.requestAnimationFrame = window.webkitRequestAnimationFrame ||
-                                         window.mozRequestAnimationFrame ||
-                                         window.oRequestAnimationFrame ||
-                                         window.msRequestAnimationFrame ||
-                                         function(callback) {
-                                             return window.setTimeout(callback, 1000 / 60);
-                                         };
-        }
+}
+
+// Headless Game Engine Class
+// Owns the rules (board, pieces, collision, scoring, level) and never touches the DOM
+class TetrisEngine {
+    constructor(config = {}) {
+        this.CONFIG = this.validateConfig({
+            BOARD_WIDTH: config.boardWidth || 12,
+            BOARD_HEIGHT: config.boardHeight || 20,
+            MAX_LEVEL: config.maxLevel || 100,
+            PIECE_GENERATOR: config.pieceGenerator || 'bag',
+            PREVIEW_COUNT: config.previewCount !== undefined ? config.previewCount : 5,
+            ROTATION_SYSTEM: config.rotationSystem || 'srs',
+            ALLOW_180: config.allow180 || false,
+            DAS: config.das !== undefined ? config.das : 167,
+            ARR: config.arr !== undefined ? config.arr : 33,
+            SOFT_DROP_FACTOR: config.softDropFactor || 20,
+            LOCK_DELAY: config.lockDelay !== undefined ? config.lockDelay : 500,
+            LOCK_RESET_LIMIT: config.lockResetLimit !== undefined ? config.lockResetLimit : 15,
+            ENTRY_DELAY: config.entryDelay || 0,
+            LINE_CLEAR_DELAY: config.lineClearDelay || 0,
+            MODE: config.mode || 'classic',
+            PUZZLE: config.puzzle || null,
+            POSITION: config.position || null
+        });
         
-        if (!window.cancelAnimationFrame) {
-            window.cancelAnimationFrame = window.webkitCancelAnimationFrame ||
-                                        window.mozCancelAnimationFrame ||
-                                        window.oCancelAnimationFrame ||
-                                        window.msCancelAnimationFrame ||
-                                        function(id) {
-                                            clearTimeout(id);
-                                        };
-        }
+        // Kept verbatim so replays can rebuild an identical engine
+        this.options = { ...config };
+        delete this.options.seed;
         
-        // Performance.now polyfill
-        if (!window.performance || !window.performance.now) {
-            window.performance = window.performance || {};
-            window.performance.now = Date.now || function() {
-                return new Date().getTime();
-            };
-        }
+        this.listeners = {};
+        this.mode = GAME_MODES[this.CONFIG.MODE];
+        this.position = this.CONFIG.POSITION &&
+            BoardCodec.decodePosition(this.CONFIG.POSITION, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+        this.rotationSystem = new RotationSystem(this.CONFIG.ROTATION_SYSTEM);
+        this.scoringEngine = new ScoringEngine();
         
-        // Array.isArray polyfill
-        if (!Array.isArray) {
-            Array.isArray = function(arg) {
-                return Object.prototype.toString.call(arg) === '[object Array]';
-            };
-        }
+        this.reset(config.seed !== undefined ? config.seed : SeededRandom.createSeed());
     }
     
-    setupErrorHandling() {
-        window.addEventListener('error', (event) => {
-            this.handleGameError('Global error', event.error);
-        });
+    // Replays and saves pass their stored settings through here, so types are
+    // checked as well as ranges
+    validateConfig(config) {
+        const errors = [];
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const isNumber = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
         
-        window.addEventListener('unhandledrejection', (event) => {
-            this.handleGameError('Unhandled promise rejection', event.reason);
-        });
+        if (!isInt(config.BOARD_WIDTH, 4, 50)) {
+            errors.push('Board width must be a whole number between 4 and 50');
+        }
+        if (!isInt(config.BOARD_HEIGHT, 4, 50)) {
+            errors.push('Board height must be a whole number between 4 and 50');
+        }
+        if (!isInt(config.MAX_LEVEL, 1, 1000)) {
+            errors.push('Max level must be a whole number between 1 and 1000');
+        }
+        if (!Object.keys(PIECE_GENERATORS).includes(config.PIECE_GENERATOR)) {
+            errors.push('Piece generator must be one of: ' + Object.keys(PIECE_GENERATORS).join(', '));
+        }
+        if (!isInt(config.PREVIEW_COUNT, 0, 6)) {
+            errors.push('Preview count must be a whole number between 0 and 6');
+        }
+        if (!RotationSystem.NAMES.includes(config.ROTATION_SYSTEM)) {
+            errors.push('Rotation system must be one of: ' + RotationSystem.NAMES.join(', '));
+        }
+        if (typeof config.ALLOW_180 !== 'boolean') {
+            errors.push('allow180 must be true or false');
+        }
+        if (!isNumber(config.DAS, 0, 1000)) {
+            errors.push('DAS must be between 0 and 1000 ms');
+        }
+        if (!isNumber(config.ARR, 0, 500)) {
+            errors.push('ARR must be between 0 and 500 ms');
+        }
+        if (!isNumber(config.SOFT_DROP_FACTOR, 1, 100)) {
+            errors.push('Soft drop factor must be between 1 and 100');
+        }
+        if (!isNumber(config.LOCK_DELAY, 0, 5000)) {
+            errors.push('Lock delay must be between 0 and 5000 ms');
+        }
+        if (!isInt(config.LOCK_RESET_LIMIT, 0, 100)) {
+            errors.push('Lock reset limit must be a whole number between 0 and 100');
+        }
+        if (!isNumber(config.ENTRY_DELAY, 0, 1000)) {
+            errors.push('Entry delay must be between 0 and 1000 ms');
+        }
+        if (!isNumber(config.LINE_CLEAR_DELAY, 0, 1000)) {
+            errors.push('Line clear delay must be between 0 and 1000 ms');
+        }
+        if (!Object.keys(GAME_MODES).includes(config.MODE)) {
+            errors.push('Mode must be one of: ' + Object.keys(GAME_MODES).join(', '));
+        }
+        if (config.MODE === 'puzzle') {
+            errors.push(...PuzzleLevel.validate(config.PUZZLE, config.BOARD_WIDTH, config.BOARD_HEIGHT));
+        } else if (config.PUZZLE !== null) {
+            errors.push('A puzzle can only be played in puzzle mode');
+        }
+        if (config.POSITION !== null) {
+            if (config.MODE === 'puzzle') {
+                errors.push('Puzzles set up their own board');
+            } else {
+                errors.push(...BoardCodec.validatePosition(config.POSITION, config.BOARD_WIDTH, config.BOARD_HEIGHT));
+            }
+        }
+        
+        if (errors.length > 0) {
+            throw new ValidationError('Configuration validation failed: ' + errors.join(', '));
+        }
+        
+        return config;
     }
     
-    createInitialGameState() {
+    // A puzzle or an edited position sets up the board, the first pieces and the hold
+    createInitialState() {
+        const puzzle = this.CONFIG.PUZZLE;
+        const start = puzzle || this.position;
         return {
-            board: this.createBoard(),
+            board: puzzle ? this.createPuzzleBoard(puzzle) :
+                this.position ? this.position.board.map(row => [...row]) : this.createBoard(),
             currentPiece: null,
             score: 0,
             level: 1,
             lines: 0,
-            highScore: this.loadHighScore(),
             dropCounter: 0,
             dropInterval: 1000,
-            gameRunning: false,
-            gamePaused: false,
             gameOver: false,
-            inactivityTimer: 0
+            heldPiece: start && start.hold ? PIECE_NAMES.indexOf(start.hold) : null,
+            canHold: true,
+            lockTimer: 0,
+            lockResets: 0,
+            lowestRow: 0,
+            entryTimer: 0,
+            clearTimer: 0,
+            clearingRows: [],
+            lastRotation: null,
+            lockedTSpin: 'none',
+            combo: -1,
+            backToBack: false,
+            frame: 0,
+            time: 0,
+            result: null,
+            garbageCleared: 0,
+            garbageTimer: 0,
+            garbagePieces: 0,
+            held: { moveLeft: false, moveRight: false, softDrop: false },
+            shiftDirection: 0,
+            dasTimer: 0,
+            arrTimer: 0
         };
     }
     
-    init() {
-        try {
-            this.initializeCanvas();
-            this.initializeUI();
-            this.spawnPiece();
-            this.gameState.gameRunning = true;
-            this.startPerformanceMonitoring();
-            this.updateDisplay();
-            this.gameLoop();
-            return true;
-        } catch (error) {
-            this.handleCriticalError('Initialization failed', error);
-            return false;
+    // The seed fixes the whole piece sequence; reusing it replays the same game
+    reset(seed = this.seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new ValidationError('Seed must be an unsigned 32-bit integer');
         }
+        
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.state = this.createInitialState();
+        this.previousPiece = null;
+        const start = this.CONFIG.PUZZLE || this.position;
+        this.pieceQueue = new PieceQueue(this.CONFIG.PIECE_GENERATOR, this.CONFIG.PREVIEW_COUNT,
+            () => this.rng.next(), start ? PuzzleLevel.pieceIndexes(start) : [], this.CONFIG.PUZZLE !== null);
     }
     
-    initializeCanvas() {
-        this.canvas = document.getElementById('tetris');
-        if (!this.canvas) {
-            throw new Error('Canvas element not found');
+    start() {
+        if (this.mode.startGarbage) {
+            this.insertGarbage(this.mode.startGarbage);
+        }
+        this.spawnPiece();
+    }
+    
+    // Event hooks for adapters: move, rotate, hardDrop, lock, clear, garbage, gameOver, error
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+    }
+    
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(handler => handler(data));
+    }
+    
+    // Errors go to the adapter when one listens; otherwise they reach the caller
+    handleError(context, error) {
+        if (!this.listeners.error || this.listeners.error.length === 0) {
+            throw error;
         }
+        this.emit('error', { context, error });
+    }
+    
+    // Advances the game by deltaTime ms after applying this frame's inputs,
+    // given as [{ action: 'moveLeft', down: true }, ...]
+    step(inputs = [], deltaTime = 0) {
+        // Renderers interpolate from here to the piece's new position
+        this.previousPiece = this.state.currentPiece ? { ...this.state.currentPiece } : null;
         
-        this.ctx = this.canvas.getContext('2d');
-        if (!this.ctx) {
-            throw new Error('Cannot get 2D context');
+        this.state.frame++;
+        inputs.forEach(input => this.applyInput(input));
+        
+        if (!this.state.gameOver) {
+            this.state.time += deltaTime;
+            this.updateAutoShift(deltaTime);
+            this.update(deltaTime);
+            this.updateGarbage(deltaTime);
+            
+            if (this.mode.timeLimit && this.state.time + TIME_EPSILON >= this.mode.timeLimit && !this.state.gameOver) {
+                this.endGame('timeUp');
+            }
         }
         
-        // Test canvas functionality
-        try {
-            this.ctx.fillStyle = '#000';
-            this.ctx.fillRect(0, 0, 1, 1);
-            this.ctx.scale(this.CONFIG.BLOCK_SIZE, this.CONFIG.BLOCK_SIZE);
-        } catch (error) {
-            throw new Error('Canvas context is not functional: ' + error.message);
+        return this.state;
+    }
+    
+    // One fixed-length frame; replays depend on every frame having the same duration
+    tick(inputs = []) {
+        return this.step(inputs, TICK_DURATION);
+    }
+    
+    applyInput({ action, down = true }) {
+        if (!ENGINE_ACTIONS.includes(action)) {
+            throw new ValidationError('Unknown action: ' + action);
+        }
+        
+        if (this.state.gameOver) return;
+        
+        if (down) {
+            this.emit('input', { action });
+        }
+        if (HELD_ACTIONS.includes(action)) {
+            this.state.held[action] = down;
+        }
+        
+        if (!down) {
+            if (action === 'moveLeft') this.releaseShift(-1);
+            if (action === 'moveRight') this.releaseShift(1);
+            return;
+        }
+        
+        // No piece is in play during entry and line clear delays; presses still
+        // register so DAS can charge, and each action checks for a piece
+        switch (action) {
+            case 'moveLeft':
+                this.startShift(-1);
+                break;
+            case 'moveRight':
+                this.startShift(1);
+                break;
+            case 'softDrop':
+                if (this.movePiece(0, 1)) {
+                    this.state.score += SCORE_TABLE.softDrop;
+                    this.state.dropCounter = 0;
+                }
+                break;
+            case 'hardDrop':
+                this.hardDrop();
+                break;
+            case 'rotateCW':
+                this.rotatePiece(1);
+                break;
+            case 'rotateCCW':
+                this.rotatePiece(-1);
+                break;
+            case 'rotate180':
+                this.rotatePiece(2);
+                break;
+            case 'hold':
+                this.holdPiece();
+                break;
         }
     }
     
-    initializeUI() {
-        // Initialize performance display
-        this.updatePerformanceDisplay();
+    startShift(direction) {
+        this.state.shiftDirection = direction;
+        this.state.dasTimer = 0;
+        this.state.arrTimer = 0;
+        this.movePiece(direction, 0);
+    }
+    
+    // Releasing one direction hands auto-repeat over to the other if it is still held
+    releaseShift(direction) {
+        if (this.state.shiftDirection !== direction) return;
+        
+        const opposite = direction === -1 ? 'moveRight' : 'moveLeft';
+        this.state.shiftDirection = this.state.held[opposite] ? -direction : 0;
+        this.state.dasTimer = 0;
+        this.state.arrTimer = 0;
+    }
+    
+    updateAutoShift(deltaTime) {
+        if (!this.state.shiftDirection) return;
+        
+        const { DAS, ARR } = this.CONFIG;
+        const wasCharged = this.state.dasTimer >= DAS;
+        
+        // DAS keeps charging while no piece is in play (entry delay)
+        this.state.dasTimer += deltaTime;
+        if (this.state.dasTimer < DAS || !this.state.currentPiece) {
+            return;
+        }
+        
+        if (ARR === 0) {
+            while (this.movePiece(this.state.shiftDirection, 0)) {
+                // Instant shift to the wall
+            }
+            return;
+        }
+        
+        // The first repeat fires as soon as DAS is charged
+        this.state.arrTimer = wasCharged ? this.state.arrTimer + deltaTime : ARR;
+        while (this.state.arrTimer >= ARR) {
+            this.state.arrTimer -= ARR;
+            if (!this.movePiece(this.state.shiftDirection, 0)) {
+                this.state.arrTimer = 0;
+                break;
+            }
+        }
+    }
+    
+    update(deltaTime) {
+        // Line clear delay: cleared rows are shown before they collapse
+        if (this.state.clearTimer > 0) {
+            this.state.clearTimer -= deltaTime;
+            if (this.state.clearTimer <= 0) {
+                this.state.clearTimer = 0;
+                this.state.clearingRows = [];
+                this.clearLines();
+                this.startEntryDelay();
+            }
+            return;
+        }
+        
+        // Entry delay (ARE): no piece is in play until it expires
+        if (this.state.entryTimer > 0) {
+            this.state.entryTimer -= deltaTime;
+            if (this.state.entryTimer <= 0) {
+                this.state.entryTimer = 0;
+                this.spawnPiece();
+            }
+            return;
+        }
+        
+        if (!this.state.currentPiece) {
+            return;
+        }
+        
+        this.state.dropCounter += deltaTime;
+        
+        // Holding soft drop speeds gravity up and scores a point per cell
+        const softDropping = this.state.held.softDrop;
+        const interval = softDropping ?
+            this.state.dropInterval / this.CONFIG.SOFT_DROP_FACTOR :
+            this.state.dropInterval;
+        
+        // Carry the remainder over so the fall rate is exact; fast gravity can drop
+        // several rows in one frame
+        while (this.state.dropCounter + TIME_EPSILON >= interval) {
+            this.state.dropCounter -= interval;
+            if (!this.movePiece(0, 1)) {
+                this.state.dropCounter = 0;
+                break;
+            }
+            if (softDropping) {
+                this.state.score += SCORE_TABLE.softDrop;
+            }
+        }
+        
+        // Lock delay runs while the piece rests on the stack
+        if (this.isCollision(this.state.currentPiece, 0, 1)) {
+            this.state.lockTimer += deltaTime;
+            if (this.state.lockTimer >= this.CONFIG.LOCK_DELAY) {
+                this.mergePiece();
+            }
+        }
+    }
+    
+    // Garbage modes: a row rises on the timer, or early after enough pieces have locked
+    updateGarbage(deltaTime) {
+        const { garbageInterval, garbagePieces } = this.mode;
+        if (!garbageInterval || this.state.gameOver) return;
+        
+        this.state.garbageTimer += deltaTime;
+        
+        // Rows waiting out the line clear delay are tracked by index, so garbage waits too
+        if (this.state.clearTimer > 0) return;
+        
+        if (this.state.garbageTimer + TIME_EPSILON >= garbageInterval || this.state.garbagePieces >= garbagePieces) {
+            this.state.garbageTimer = 0;
+            this.state.garbagePieces = 0;
+            this.insertGarbage(1);
+        }
     }
     
     createBoard() {
-        return Array(this.CONFIG.BOARD_HEIGHT).fill().map(() => 
+        return Array(this.CONFIG.BOARD_HEIGHT).fill().map(() =>
                Array(this.CONFIG.BOARD_WIDTH).fill(0));
     }
     
-    spawnPiece() {
+    // Puzzle rows sit on the floor of an otherwise empty board
+    createPuzzleBoard(level) {
+        const board = this.createBoard();
+        const top = this.CONFIG.BOARD_HEIGHT - level.board.length;
+        level.board.forEach((row, y) => {
+            [...row].forEach((cell, x) => {
+                board[top + y][x] = PUZZLE_CELLS.indexOf(cell);
+            });
+        });
+        return board;
+    }
+    
+    createGarbageRow(hole) {
+        const row = Array(this.CONFIG.BOARD_WIDTH).fill(GARBAGE_CELL);
+        row[hole] = 0;
+        return row;
+    }
+    
+    // Pushes the stack up by count garbage rows. Each row gets a random hole unless one is
+    // given. The falling piece stays where it is unless the stack reaches it, in which case
+    // it is pushed up as well; blocks pushed off the top, or a piece that can't make room, top out
+    insertGarbage(count, hole) {
+        try {
+            if (!Number.isInteger(count) || count < 1 || count > this.CONFIG.BOARD_HEIGHT) {
+                throw new ValidationError('Garbage row count must be between 1 and ' + this.CONFIG.BOARD_HEIGHT);
+            }
+            
+            const { board } = this.state;
+            const overflow = board.slice(0, count).some(row => row.some(cell => cell !== 0));
+            
+            for (let i = 0; i < count; i++) {
+                const column = hole !== undefined ? hole : Math.floor(this.rng.next() * this.CONFIG.BOARD_WIDTH);
+                board.shift();
+                board.push(this.createGarbageRow(column));
+            }
+            
+            const piece = this.state.currentPiece;
+            let blocked = false;
+            if (piece) {
+                let lift = 0;
+                while (lift < count && this.isCollision(piece, 0, -lift)) {
+                    lift++;
+                }
+                piece.y -= lift;
+                this.state.lowestRow = Math.max(piece.y, this.state.lowestRow - count);
+                blocked = this.isCollision(piece);
+            }
+            
+            this.emit('garbage', { rows: count });
+            
+            if (overflow || blocked) {
+                this.endGame();
+            }
+        } catch (error) {
+            this.handleError('Garbage insertion error', error);
+        }
+    }
+    
+    spawnPiece(shapeIndex) {
+        // A finished game (line goal reached during this lock) gets no new piece
+        if (this.state.gameOver) return;
+        if (shapeIndex === undefined) {
+            // A puzzle's pieces can run out; the held piece is then the last one left
+            if (!this.pieceQueue.isEmpty()) {
+                shapeIndex = this.pieceQueue.next();
+            } else if (this.state.heldPiece !== null) {
+                shapeIndex = this.state.heldPiece;
+                this.state.heldPiece = null;
+            } else {
+                this.endGame('failed');
+                return;
+            }
+        }
+        
         try {
-            const shapeIndex = Math.floor(Math.random() * SHAPES.length);
             const shape = SHAPES[shapeIndex];
             
             if (!shape || shape.length === 0) {
                 throw new Error('Invalid shape selected');
             }
             
-            const rotation = Math.floor(Math.random() * shape.length);
-            const selectedShape = shape[rotation];
+            // Pieces always enter in their spawn orientation, top row at the ceiling
+            const selectedShape = shape[0];
+            const topRow = selectedShape.findIndex(row => row.some(cell => cell));
             
-            this.gameState.currentPiece = {
+            this.state.currentPiece = {
                 shape: selectedShape,
                 x: Math.floor(this.CONFIG.BOARD_WIDTH / 2) - Math.floor(selectedShape[0].length / 2),
-                y: 0,
+                y: -topRow,
                 shapeIndex: shapeIndex,
-                rotation: rotation
+                rotation: 0
             };
             
+            this.state.lockTimer = 0;
+            this.state.lockResets = 0;
+            this.state.lowestRow = this.state.currentPiece.y;
+            this.state.lastRotation = null;
+            
             // Check for game over
-            if (this.isCollision(this.gameState.currentPiece)) {
+            if (this.isCollision(this.state.currentPiece)) {
                 this.endGame();
+            } else {
+                this.emit('spawn', { piece: this.state.currentPiece });
             }
         } catch (error) {
-            this.handleGameError('Piece spawning error', error);
+            this.handleError('Piece spawning error', error);
         }
     }
     
@@ -494,7 +1479,7 @@ class TetrisGame {
         const { shape, x, y } = piece;
         
         // Boundary pre-check
-        if (x < -10 || x > this.CONFIG.BOARD_WIDTH + 10 || 
+        if (x < -10 || x > this.CONFIG.BOARD_WIDTH + 10 ||
             y < -10 || y > this.CONFIG.BOARD_HEIGHT + 10) {
             console.warn('Piece position out of reasonable bounds');
             return true;
@@ -512,24 +1497,24 @@ class TetrisGame {
                         const newY = y + row + offsetY;
                         
                         // Comprehensive boundary checking
-                        if (newX < 0 || newX >= this.CONFIG.BOARD_WIDTH || 
+                        if (newX < 0 || newX >= this.CONFIG.BOARD_WIDTH ||
                             newY >= this.CONFIG.BOARD_HEIGHT) {
                             return true;
                         }
                         
                         // Safe array access with bounds checking
-                        if (newY >= 0 && 
-                            newY < this.gameState.board.length && 
-                            newX >= 0 && 
-                            newX < this.gameState.board[newY].length && 
-                            this.gameState.board[newY][newX]) {
+                        if (newY >= 0 &&
+                            newY < this.state.board.length &&
+                            newX >= 0 &&
+                            newX < this.state.board[newY].length &&
+                            this.state.board[newY][newX]) {
                             return true;
                         }
                     }
                 }
             }
         } catch (error) {
-            this.handleGameError('Collision detection error', error);
+            this.handleError('Collision detection error', error);
             return true; // Fail-safe approach
         }
         
@@ -538,118 +1523,6219 @@ class TetrisGame {
     
     movePiece(dx, dy) {
         try {
-            if (!this.gameState.currentPiece || !this.validatePiece(this.gameState.currentPiece)) {
+            if (!this.state.currentPiece || !this.validatePiece(this.state.currentPiece)) {
                 return false;
             }
             
-            if (!this.isCollision(this.gameState.currentPiece, dx, dy)) {
-                this.gameState.currentPiece.x += dx;
-                this.gameState.currentPiece.y += dy;
+            if (!this.isCollision(this.state.currentPiece, dx, dy)) {
+                this.state.currentPiece.x += dx;
+                this.state.currentPiece.y += dy;
+                this.state.lastRotation = null;
+                this.updateLockDelay();
+                this.emit('move', { dx, dy });
                 return true;
             }
             return false;
         } catch (error) {
-            this.handleGameError('Piece movement error', error);
+            this.handleError('Piece movement error', error);
             return false;
         }
     }
     
-    rotatePiece() {
+    // direction: 1 = clockwise, -1 = counter-clockwise, 2 = 180
+    rotatePiece(direction = 1) {
         try {
-            if (!this.gameState.currentPiece || !this.validatePiece(this.gameState.currentPiece)) {
-                return;
+            if (!this.state.currentPiece || !this.validatePiece(this.state.currentPiece)) {
+                return false;
             }
             
-            const { shapeIndex, rotation } = this.gameState.currentPiece;
-            const shapes = SHAPES[shapeIndex];
-            
-            if (!shapes || shapes.length === 0) {
-                throw new Error('Invalid shape data for rotation');
+            if (direction === 2 && !this.CONFIG.ALLOW_180) {
+                return false;
             }
             
-            const newRotation = (rotation + 1) % shapes.length;
-            const newShape = shapes[newRotation];
+            const rotated = this.getRotation(this.state.currentPiece, direction);
+            if (!rotated) {
+                return false;
+            }
             
+            this.state.currentPiece = rotated.piece;
+            this.state.lastRotation = { direction, kickIndex: rotated.kickIndex };
+            this.updateLockDelay();
+            this.emit('rotate', { direction });
+            return true;
+        } catch (error) {
+            this.handleError('Piece rotation error', error);
+            return false;
+        }
+    }
+    
+    // Where a rotation would put the piece, using the first kick offset that fits,
+    // or null if none does. Leaves the game untouched so the AI can search with it
+    getRotation(piece, direction) {
+        const { shapeIndex, rotation } = piece;
+        const shapes = SHAPES[shapeIndex];
+        
+        if (!shapes || shapes.length !== ROTATION_STATES.length) {
+            throw new Error('Invalid shape data for rotation');
+        }
+        
+        const newRotation = (rotation + direction + shapes.length) % shapes.length;
+        const newShape = shapes[newRotation];
+        const kicks = this.rotationSystem.getKicks(shapeIndex, rotation, newRotation);
+        
+        for (let kickIndex = 0; kickIndex < kicks.length; kickIndex++) {
+            const [kickX, kickY] = kicks[kickIndex];
             const testPiece = {
-                ...this.gameState.currentPiece,
+                ...piece,
                 shape: newShape,
-                rotation: newRotation
+                rotation: newRotation,
+                x: piece.x + kickX,
+                y: piece.y + kickY
             };
             
             if (!this.isCollision(testPiece)) {
-                this.gameState.currentPiece = testPiece;
+                return { piece: testPiece, kickIndex };
+            }
+        }
+        return null;
+    }
+    
+    // Reaching a new lowest row restarts lock delay; other moves reset it a limited number of times
+    updateLockDelay() {
+        const piece = this.state.currentPiece;
+        
+        if (piece.y > this.state.lowestRow) {
+            this.state.lowestRow = piece.y;
+            this.state.lockTimer = 0;
+            this.state.lockResets = 0;
+        } else if (this.state.lockTimer > 0 &&
+                   this.state.lockResets < this.CONFIG.LOCK_RESET_LIMIT) {
+            this.state.lockTimer = 0;
+            this.state.lockResets++;
+        }
+    }
+    
+    getDropDistance(piece) {
+        let distance = 0;
+        while (!this.isCollision(piece, 0, distance + 1)) {
+            distance++;
+        }
+        return distance;
+    }
+    
+    hardDrop() {
+        try {
+            if (!this.state.currentPiece) {
+                return;
+            }
+            
+            const distance = this.getDropDistance(this.state.currentPiece);
+            while (this.movePiece(0, 1)) {
+                this.state.score += SCORE_TABLE.hardDrop;
             }
+            this.emit('hardDrop', { distance });
+            this.mergePiece();
         } catch (error) {
-            this.handleGameError('Piece rotation error', error);
+            this.handleError('Hard drop error', error);
+        }
+    }
+    
+    holdPiece() {
+        try {
+            if (!this.state.currentPiece || !this.state.canHold) {
+                return false;
+            }
+            
+            // Only one swap is allowed until the next piece locks, and the last piece
+            // of a puzzle has nothing to swap with
+            const { heldPiece } = this.state;
+            if (heldPiece === null && this.pieceQueue.isEmpty()) {
+                return false;
+            }
+            this.state.heldPiece = this.state.currentPiece.shapeIndex;
+            this.state.canHold = false;
+            
+            if (heldPiece === null) {
+                this.spawnPiece();
+            } else {
+                this.spawnPiece(heldPiece);
+            }
+            
+            this.state.dropCounter = 0;
+            return true;
+        } catch (error) {
+            this.handleError('Hold piece error', error);
+            return false;
+        }
+    }
+    
+    mergePiece() {
+        try {
+            if (!this.state.currentPiece || !this.validatePiece(this.state.currentPiece)) {
+                this.spawnPiece();
+                return;
+            }
+            
+            const piece = this.state.currentPiece;
+            const { shape, x, y, shapeIndex } = piece;
+            
+            // T-spins are judged on the board as it was before this piece locked
+            this.state.lockedTSpin = this.scoringEngine.detectTSpin(
+                this.state.board, piece, this.state.lastRotation);
+            
+            for (let row = 0; row < shape.length; row++) {
+                for (let col = 0; col < shape[row].length; col++) {
+                    if (shape[row][col]) {
+                        const boardY = y + row;
+                        const boardX = x + col;
+                        
+                        if (boardY >= 0 && boardY < this.CONFIG.BOARD_HEIGHT &&
+                            boardX >= 0 && boardX < this.CONFIG.BOARD_WIDTH) {
+                            this.state.board[boardY][boardX] = shapeIndex + 1;
+                        }
+                    }
+                }
+            }
+            
+            this.state.canHold = true;
+            this.state.currentPiece = null;
+            if (this.mode.garbagePieces) {
+                this.state.garbagePieces++;
+            }
+            this.emit('lock', { piece, tSpin: this.state.lockedTSpin });
+            
+            // Full rows stay on the board for the line clear delay before collapsing
+            const fullRows = this.findFullRows();
+            if (fullRows.length > 0 && this.CONFIG.LINE_CLEAR_DELAY > 0) {
+                this.state.clearingRows = fullRows;
+                this.state.clearTimer = this.CONFIG.LINE_CLEAR_DELAY;
+                return;
+            }
+            
+            this.clearLines();
+            this.startEntryDelay();
+        } catch (error) {
+            this.handleError('Piece merge error', error);
+        }
+    }
+    
+    findFullRows() {
+        const rows = [];
+        for (let row = 0; row < this.CONFIG.BOARD_HEIGHT; row++) {
+            if (this.state.board[row].every(cell => cell !== 0)) {
+                rows.push(row);
+            }
+        }
+        return rows;
+    }
+    
+    startEntryDelay() {
+        if (this.CONFIG.ENTRY_DELAY > 0) {
+            this.state.entryTimer = this.CONFIG.ENTRY_DELAY;
+        } else {
+            this.spawnPiece();
+        }
+    }
+    
+    clearLines() {
+        try {
+            let linesCleared = 0;
+            let garbageCleared = 0;
+            
+            for (let row = this.CONFIG.BOARD_HEIGHT - 1; row >= 0; row--) {
+                if (this.state.board[row].every(cell => cell !== 0)) {
+                    if (this.state.board[row].includes(GARBAGE_CELL)) {
+                        garbageCleared++;
+                    }
+                    this.state.board.splice(row, 1);
+                    this.state.board.unshift(Array(this.CONFIG.BOARD_WIDTH).fill(0));
+                    linesCleared++;
+                    row++; // Check the same row again
+                }
+            }
+            
+            const perfectClear = linesCleared > 0 &&
+                this.state.board.every(row => row.every(cell => cell === 0));
+            const tSpin = this.state.lockedTSpin;
+            
+            const result = this.scoringEngine.scoreLock({
+                linesCleared,
+                tSpin,
+                perfectClear
+            }, this.state.level, {
+                combo: this.state.combo,
+                backToBack: this.state.backToBack
+            });
+            
+            this.state.score += result.points;
+            this.state.combo = result.combo;
+            this.state.backToBack = result.backToBack;
+            this.state.lockedTSpin = 'none';
+            
+            const previousLevel = this.state.level;
+            this.state.garbageCleared += garbageCleared;
+            if (linesCleared > 0) {
+                this.state.lines += linesCleared;
+                if (this.mode.levelUp !== false) {
+                    this.state.level = Math.min(this.CONFIG.MAX_LEVEL, Math.floor(this.state.lines / 10) + 1);
+                    this.state.dropInterval = Math.max(100, 1000 - (this.state.level - 1) * 50);
+                }
+            }
+            
+            this.emit('clear', {
+                linesCleared,
+                garbageCleared,
+                tSpin,
+                perfectClear,
+                combo: result.combo,
+                backToBackBonus: result.backToBackBonus,
+                points: result.points,
+                labels: result.labels,
+                levelUp: this.state.level > previousLevel
+            });
+            
+            const puzzle = this.CONFIG.PUZZLE;
+            if ((this.mode.lineGoal && this.state.lines >= this.mode.lineGoal) ||
+                (this.mode.garbageGoal && this.state.garbageCleared >= this.mode.garbageGoal) ||
+                (puzzle && PuzzleLevel.isGoalMet(puzzle.goal, { linesCleared, tSpin, perfectClear }, this.state.lines))) {
+                this.endGame('complete');
+            }
+        } catch (error) {
+            this.handleError('Line clearing error', error);
+        }
+    }
+    
+    // result is 'topOut', 'complete' (line or puzzle goal reached), 'timeUp' or 'failed'
+    // (a puzzle's pieces ran out)
+    endGame(result = 'topOut') {
+        this.state.gameOver = true;
+        this.state.result = result;
+        this.emit('gameOver', {
+            score: this.state.score,
+            lines: this.state.lines,
+            level: this.state.level,
+            time: this.state.time,
+            result
+        });
+    }
+    
+    // Everything needed to continue this exact game later, as JSON-safe data
+    snapshot() {
+        return {
+            seed: this.seed,
+            rngState: this.rng.state,
+            queue: [...this.pieceQueue.queue],
+            generator: this.pieceQueue.generator.getState(),
+            state: JSON.parse(JSON.stringify(this.state))
+        };
+    }
+    
+    // Continues a game from snapshot(); anything inconsistent is rejected rather than repaired
+    restore(snapshot) {
+        const errors = this.validateSnapshot(snapshot);
+        if (errors.length > 0) {
+            throw new ValidationError('Saved game validation failed: ' + errors.join(', '));
+        }
+        
+        const saved = snapshot.state;
+        const piece = saved.currentPiece;
+        
+        this.reset(snapshot.seed);
+        this.pieceQueue.queue = [...snapshot.queue];
+        this.pieceQueue.generator.setState(snapshot.generator);
+        this.rng.state = snapshot.rngState;
+        
+        // Only known fields are copied; anything else in the save is ignored
+        const state = this.createInitialState();
+        Object.keys(state).forEach(key => {
+            state[key] = saved[key];
+        });
+        
+        this.state = {
+            ...state,
+            board: saved.board.map(row => [...row]),
+            // Shapes are looked up again rather than trusted from the save
+            currentPiece: piece && {
+                shape: SHAPES[piece.shapeIndex][piece.rotation],
+                x: piece.x,
+                y: piece.y,
+                shapeIndex: piece.shapeIndex,
+                rotation: piece.rotation
+            },
+            clearingRows: [...saved.clearingRows],
+            lastRotation: saved.lastRotation && { ...saved.lastRotation },
+            held: { ...saved.held }
+        };
+    }
+    
+    validateSnapshot(snapshot) {
+        const errors = [];
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const isShape = (value) => isInt(value, 0, SHAPES.length - 1);
+        // Timers carry small negative remainders, so only absurd values are refused
+        const isTime = (value) => typeof value === 'number' && isFinite(value) && value > -1000 && value < 1e9;
+        
+        if (!snapshot || typeof snapshot !== 'object') {
+            return ['Snapshot must be an object'];
+        }
+        if (!isInt(snapshot.seed, 0, 0xFFFFFFFF) || !isInt(snapshot.rngState, 0, 0xFFFFFFFF)) {
+            errors.push('Seed and RNG state must be unsigned 32-bit integers');
+        }
+        // A puzzle's queue is whatever is left of its sequence; an edited position's pieces
+        // can stretch the queue past the preview until they are used up
+        const sequence = this.CONFIG.PUZZLE && PuzzleLevel.pieceIndexes(this.CONFIG.PUZZLE);
+        const minimum = Math.max(1, this.CONFIG.PREVIEW_COUNT);
+        const maximum = Math.max(minimum, this.position ? this.position.pieces.length : 0);
+        if (!Array.isArray(snapshot.queue) || !snapshot.queue.every(isShape) || (sequence ?
+            snapshot.queue.join() !== sequence.slice(sequence.length - snapshot.queue.length).join() :
+            snapshot.queue.length < minimum || snapshot.queue.length > maximum)) {
+            errors.push('Invalid piece queue');
+        }
+        if (!PIECE_GENERATORS[this.CONFIG.PIECE_GENERATOR].isValidState(snapshot.generator)) {
+            errors.push('Invalid piece generator state');
+        }
+        
+        const state = snapshot.state;
+        if (!state || typeof state !== 'object') {
+            errors.push('State must be an object');
+            return errors;
+        }
+        
+        if (!Array.isArray(state.board) || state.board.length !== this.CONFIG.BOARD_HEIGHT ||
+            !state.board.every(row => Array.isArray(row) && row.length === this.CONFIG.BOARD_WIDTH &&
+                row.every(cell => isInt(cell, 0, GARBAGE_CELL)))) {
+            errors.push('Invalid board');
+            return errors;
+        }
+        
+        const piece = state.currentPiece;
+        if (piece === null) {
+            // Between pieces only while a delay is running
+            if (!(state.clearTimer > 0 || state.entryTimer > 0)) {
+                errors.push('No piece in play');
+            }
+        } else if (!piece || !isShape(piece.shapeIndex) || !isInt(piece.rotation, 0, 3) ||
+                   !isInt(piece.x, -4, this.CONFIG.BOARD_WIDTH) || !isInt(piece.y, -4, this.CONFIG.BOARD_HEIGHT)) {
+            errors.push('Invalid current piece');
+        } else {
+            const overlaps = SHAPES[piece.shapeIndex][piece.rotation].some((cells, row) =>
+                cells.some((cell, col) => {
+                    const x = piece.x + col;
+                    const y = piece.y + row;
+                    return cell !== 0 && (x < 0 || x >= this.CONFIG.BOARD_WIDTH || y >= this.CONFIG.BOARD_HEIGHT ||
+                        (y >= 0 && state.board[y][x] !== 0));
+                }));
+            if (overlaps) {
+                errors.push('Current piece overlaps the board');
+            }
+        }
+        
+        if (!isInt(state.score, 0, MAX_SCORE) || !isInt(state.lines, 0, MAX_SCORE)) {
+            errors.push('Invalid score or lines');
+        }
+        if (!isInt(state.level, 1, this.CONFIG.MAX_LEVEL)) {
+            errors.push('Invalid level');
+        }
+        if (typeof state.dropInterval !== 'number' || !(state.dropInterval >= 1 && state.dropInterval <= 60000)) {
+            errors.push('Invalid drop interval');
+        }
+        if (!['dropCounter', 'lockTimer', 'entryTimer', 'clearTimer', 'dasTimer', 'arrTimer', 'time', 'garbageTimer']
+            .every(key => isTime(state[key])) || state.time < 0) {
+            errors.push('Invalid timers');
+        }
+        if (state.gameOver !== false || state.result !== null) {
+            errors.push('Finished games cannot be resumed');
+        }
+        if (this.mode.timeLimit && state.time >= this.mode.timeLimit) {
+            errors.push('Time limit already reached');
+        }
+        if (!isInt(state.garbageCleared, 0, MAX_SCORE) || !isInt(state.garbagePieces, 0, 1000) ||
+            (this.mode.garbageGoal && state.garbageCleared >= this.mode.garbageGoal)) {
+            errors.push('Invalid garbage state');
+        }
+        if (!(state.heldPiece === null || isShape(state.heldPiece)) || typeof state.canHold !== 'boolean') {
+            errors.push('Invalid hold');
+        }
+        if (!isInt(state.lockResets, 0, 1000) || !isInt(state.lowestRow, -4, this.CONFIG.BOARD_HEIGHT)) {
+            errors.push('Invalid lock delay state');
+        }
+        if (!Array.isArray(state.clearingRows) ||
+            !state.clearingRows.every(row => isInt(row, 0, this.CONFIG.BOARD_HEIGHT - 1))) {
+            errors.push('Invalid clearing rows');
+        }
+        if (!(state.lastRotation === null || (state.lastRotation && [-1, 1, 2].includes(state.lastRotation.direction) &&
+              isInt(state.lastRotation.kickIndex, 0, 20)))) {
+            errors.push('Invalid last rotation');
+        }
+        if (!['none', 'mini', 'full'].includes(state.lockedTSpin)) {
+            errors.push('Invalid T-spin state');
+        }
+        if (!isInt(state.combo, -1, MAX_SCORE) || typeof state.backToBack !== 'boolean') {
+            errors.push('Invalid combo state');
+        }
+        if (!isInt(state.frame, 0, Number.MAX_SAFE_INTEGER)) {
+            errors.push('Invalid frame');
+        }
+        if (!state.held || !HELD_ACTIONS.every(action => typeof state.held[action] === 'boolean') ||
+            ![-1, 0, 1].includes(state.shiftDirection)) {
+            errors.push('Invalid held inputs');
+        }
+        
+        return errors;
+    }
+    
+    validateAndFixState() {
+        // Validate and fix board
+        if (!Array.isArray(this.state.board) ||
+            this.state.board.length !== this.CONFIG.BOARD_HEIGHT) {
+            this.state.board = this.createBoard();
+        }
+        
+        // Validate current piece
+        if (this.state.currentPiece && !this.validatePiece(this.state.currentPiece)) {
+            this.spawnPiece();
+        }
+        
+        // Validate numeric values
+        this.state.score = Math.max(0, Math.floor(this.state.score || 0));
+        this.state.level = Math.max(1, Math.min(this.CONFIG.MAX_LEVEL, Math.floor(this.state.level || 1)));
+        this.state.lines = Math.max(0, Math.floor(this.state.lines || 0));
+        this.state.dropInterval = Math.max(100, Math.floor(this.state.dropInterval || 1000));
+    }
+}
+
+// Puzzle Level Class
+// Hand-made puzzles: { id, name, description?, board, pieces, hold?, goal }. pieces and hold
+// are piece letters; goal is { type: 'lines', lines }, { type: 'tSpin', lines } or
+// { type: 'perfectClear' }
+class PuzzleLevel {
+    // Returns a list of problems for a board of the given size; an empty list means it can be played
+    static validate(level, width, height) {
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            return ['Puzzle must be an object'];
+        }
+        
+        const errors = [];
+        const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const maxRows = height - 4; // Pieces need room to enter above the board
+        
+        if (typeof level.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(level.id)) {
+            errors.push('Puzzle id must be 1-40 lowercase letters, digits or dashes');
+        }
+        if (!isText(level.name, 40)) {
+            errors.push('Puzzle name must be 1-40 characters');
+        }
+        if (level.description !== undefined && !isText(level.description, 200)) {
+            errors.push('Puzzle description must be 1-200 characters');
+        }
+        
+        if (!Array.isArray(level.board) || level.board.length > maxRows) {
+            errors.push('Board must be a list of at most ' + maxRows + ' rows');
+        } else {
+            const badRow = level.board.findIndex(row => typeof row !== 'string' || row.length !== width ||
+                ![...row].every(cell => PUZZLE_CELLS.includes(cell)));
+            const fullRow = level.board.findIndex(row => typeof row === 'string' && !row.includes('.'));
+            if (badRow >= 0) {
+                errors.push('Board row ' + (badRow + 1) + ' must be ' + width + ' of: ' + PUZZLE_CELLS);
+            } else if (fullRow >= 0) {
+                errors.push('Board row ' + (fullRow + 1) + ' is already full');
+            }
+        }
+        
+        if (typeof level.pieces !== 'string' || level.pieces.length < 1 || level.pieces.length > PUZZLE_MAX_PIECES ||
+            ![...level.pieces].every(piece => PIECE_NAMES.includes(piece))) {
+            errors.push('Pieces must be 1-' + PUZZLE_MAX_PIECES + ' of: ' + PIECE_NAMES.join(''));
+        }
+        if (level.hold !== undefined && level.hold !== null && !(typeof level.hold === 'string' &&
+            level.hold.length === 1 && PIECE_NAMES.includes(level.hold))) {
+            errors.push('Hold must be one of: ' + PIECE_NAMES.join(''));
+        }
+        
+        const goal = level.goal;
+        if (!goal || typeof goal !== 'object' || !PUZZLE_GOALS.includes(goal.type)) {
+            errors.push('Goal type must be one of: ' + PUZZLE_GOALS.join(', '));
+        } else if (goal.type === 'lines' && !isInt(goal.lines, 1, 40)) {
+            errors.push('Line goal must be between 1 and 40');
+        } else if (goal.type === 'tSpin' && !isInt(goal.lines, 1, 3)) {
+            errors.push('T-spin goal must clear 1 to 3 lines');
+        }
+        
+        return errors;
+    }
+    
+    // Puzzle files: { version, puzzles: [level, ...] }
+    static parse(text, width, height) {
+        if (typeof text !== 'string' || text.length > PUZZLE_MAX_SIZE) {
+            throw new ValidationError('Puzzle file is too large');
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError('Puzzle file is not valid JSON');
+        }
+        
+        if (!data || data.version !== PUZZLE_VERSION) {
+            throw new ValidationError('Unsupported puzzle file version');
+        }
+        if (!Array.isArray(data.puzzles) || data.puzzles.length === 0) {
+            throw new ValidationError('Puzzle file must list at least one puzzle');
+        }
+        
+        const errors = [];
+        data.puzzles.forEach((level, index) => {
+            const problems = PuzzleLevel.validate(level, width, height);
+            if (problems.length > 0) {
+                errors.push('puzzle ' + (index + 1) + ': ' + problems.join(', '));
+            }
+        });
+        if (new Set(data.puzzles.map(level => level && level.id)).size !== data.puzzles.length) {
+            errors.push('Puzzle ids must be unique');
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Puzzle validation failed: ' + errors.join('; '));
+        }
+        
+        return data.puzzles.map(PuzzleLevel.copy);
+    }
+    
+    // Only the known fields of a valid level
+    static copy(level) {
+        const { type, lines } = level.goal;
+        return {
+            id: level.id,
+            name: level.name,
+            ...(level.description !== undefined && { description: level.description }),
+            board: [...level.board],
+            pieces: level.pieces,
+            ...(level.hold && { hold: level.hold }),
+            goal: type === 'perfectClear' ? { type } : { type, lines }
+        };
+    }
+    
+    static pieceIndexes(level) {
+        return [...level.pieces].map(piece => PIECE_NAMES.indexOf(piece));
+    }
+    
+    // clear is the engine's clear of the piece that just locked; lines is the total so far
+    static isGoalMet(goal, clear, lines) {
+        switch (goal.type) {
+            case 'lines':
+                return lines >= goal.lines;
+            case 'tSpin':
+                return clear.tSpin === 'full' && clear.linesCleared === goal.lines;
+            case 'perfectClear':
+                return clear.perfectClear;
+            default:
+                return false;
+        }
+    }
+    
+    static describeGoal(level) {
+        const { type, lines } = level.goal;
+        const count = level.pieces.length + (level.hold ? 1 : 0);
+        const goal = type === 'lines' ? 'Clear ' + lines + (lines === 1 ? ' line' : ' lines') :
+            type === 'tSpin' ? 'T-spin ' + CLEAR_TYPES[lines - 1] : 'Perfect clear';
+        return goal + ' with ' + count + (count === 1 ? ' piece' : ' pieces');
+    }
+}
+
+// Board Codec Class
+// Short, URL-safe text for boards and edited start positions. A board is its size and its
+// cells row by row from the top, where a count repeats the cell after it: "12x20-236.4G"
+// is an empty 12 x 20 board with four garbage cells in the bottom right corner. A position
+// adds the pieces to come (the first is played first) and the held piece, if any:
+// "12x20-236.4G-TIO-I"
+class BoardCodec {
+    static encode(board) {
+        const cells = board.map(row => row.map(cell => PUZZLE_CELLS[cell]).join('')).join('');
+        const runs = cells.match(/(.)\1*/g);
+        return board[0].length + 'x' + board.length + '-' +
+            runs.map(run => (run.length > 1 ? run.length : '') + run[0]).join('');
+    }
+    
+    // Returns a list of problems; an empty list means the code is a board of the given size
+    static validate(code, width, height) {
+        const match = typeof code === 'string' && code.length <= POSITION_CODE_MAX_LENGTH ?
+            BOARD_CODE_PATTERN.exec(code) : null;
+        if (!match) {
+            return ['Board code must be a size and cells, like ' + width + 'x' + height + '-' + width * height + '.'];
+        }
+        
+        const [, codeWidth, codeHeight, runs] = match;
+        if (Number(codeWidth) !== width || Number(codeHeight) !== height) {
+            return ['Board is ' + codeWidth + ' x ' + codeHeight + ', this game\'s board is ' + width + ' x ' + height];
+        }
+        
+        // Counted before anything is expanded, so a huge count can't allocate a huge string
+        const cells = runs.match(/\d*\D/g)
+            .reduce((total, run) => total + (run.length > 1 ? Number(run.slice(0, -1)) : 1), 0);
+        if (cells !== width * height) {
+            return ['Board code must have ' + width * height + ' cells'];
+        }
+        return [];
+    }
+    
+    static decode(code, width, height) {
+        const errors = BoardCodec.validate(code, width, height);
+        if (errors.length > 0) {
+            throw new ValidationError('Board validation failed: ' + errors.join(', '));
+        }
+        
+        const cells = BOARD_CODE_PATTERN.exec(code)[3]
+            .replace(/(\d+)(\D)/g, (run, count, cell) => cell.repeat(count));
+        return Array.from({ length: height }, (_, row) =>
+            Array.from(cells.slice(row * width, (row + 1) * width), cell => PUZZLE_CELLS.indexOf(cell)));
+    }
+    
+    // position is { board, pieces, hold }: pieces and hold are piece letters, hold may be null
+    static encodePosition({ board, pieces, hold }) {
+        return BoardCodec.encode(board) + '-' + pieces + '-' + (hold || '');
+    }
+    
+    static validatePosition(code, width, height) {
+        const parts = typeof code === 'string' ? code.split('-') : [];
+        if (parts.length !== 4) {
+            return ['Position code must be a board, pieces and hold, like ' + width + 'x' + height + '-' +
+                width * height + '.-TIO-'];
+        }
+        
+        const [size, cells, pieces, hold] = parts;
+        const errors = BoardCodec.validate(size + '-' + cells, width, height);
+        if (errors.length === 0) {
+            const fullRow = BoardCodec.decode(size + '-' + cells, width, height).findIndex(row => !row.includes(0));
+            if (fullRow >= 0) {
+                errors.push('Board row ' + (fullRow + 1) + ' is already full');
+            }
+        }
+        if (pieces.length < 1 || pieces.length > POSITION_MAX_PIECES ||
+            ![...pieces].every(piece => PIECE_NAMES.includes(piece))) {
+            errors.push('Pieces must be 1-' + POSITION_MAX_PIECES + ' of: ' + PIECE_NAMES.join(''));
+        }
+        if (hold !== '' && !(hold.length === 1 && PIECE_NAMES.includes(hold))) {
+            errors.push('Hold must be empty or one of: ' + PIECE_NAMES.join(''));
+        }
+        return errors;
+    }
+    
+    static decodePosition(code, width, height) {
+        const errors = BoardCodec.validatePosition(code, width, height);
+        if (errors.length > 0) {
+            throw new ValidationError('Position validation failed: ' + errors.join(', '));
+        }
+        
+        const [size, cells, pieces, hold] = code.split('-');
+        return { board: BoardCodec.decode(size + '-' + cells, width, height), pieces, hold: hold || null };
+    }
+}
+
+// Replay Class
+// A game recorded as its seed, engine options and per-frame input log
+class Replay {
+    constructor({ seed, config = {}, frames = 0, result = null, inputs = [] }) {
+        this.seed = seed;
+        this.config = config;
+        this.frames = frames;
+        this.result = result;
+        this.inputs = inputs;
+    }
+    
+    // Inputs are stored compactly as [frame, action index, down]
+    record(frame, { action, down = true }) {
+        this.inputs.push([frame, ENGINE_ACTIONS.indexOf(action), down ? 1 : 0]);
+    }
+    
+    finish(state) {
+        this.frames = state.frame;
+        this.result = { score: state.score, lines: state.lines, level: state.level };
+    }
+    
+    serialize() {
+        return JSON.stringify({
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            config: this.config,
+            frames: this.frames,
+            result: this.result,
+            inputs: this.inputs
+        });
+    }
+    
+    static parse(text) {
+        if (typeof text !== 'string' || text.length > REPLAY_MAX_SIZE) {
+            throw new ValidationError('Replay data is missing or too large');
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError('Replay is not valid JSON');
+        }
+        
+        if (!data || typeof data !== 'object') {
+            throw new ValidationError('Replay must be an object');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new ValidationError('Unsupported replay version: ' + data.version);
+        }
+        if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xFFFFFFFF) {
+            throw new ValidationError('Replay seed is invalid');
+        }
+        if (!data.config || typeof data.config !== 'object' || Array.isArray(data.config)) {
+            throw new ValidationError('Replay config is invalid');
+        }
+        if (!Number.isInteger(data.frames) || data.frames < 0) {
+            throw new ValidationError('Replay frame count is invalid');
+        }
+        if (!Array.isArray(data.inputs)) {
+            throw new ValidationError('Replay inputs are invalid');
+        }
+        
+        let lastFrame = 0;
+        data.inputs.forEach((input, index) => {
+            const valid = Array.isArray(input) && input.length === 3 &&
+                Number.isInteger(input[0]) && input[0] >= lastFrame && input[0] <= data.frames &&
+                Number.isInteger(input[1]) && input[1] >= 0 && input[1] < ENGINE_ACTIONS.length &&
+                (input[2] === 0 || input[2] === 1);
+            if (!valid) {
+                throw new ValidationError('Replay input ' + index + ' is invalid');
+            }
+            lastFrame = input[0];
+        });
+        
+        return new Replay(data);
+    }
+}
+
+// Replay Player Class
+// Re-runs a replay on a fresh engine, frame by frame
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.engine = new TetrisEngine({ ...replay.config, seed: replay.seed });
+        this.cursor = 0;
+        this.accumulator = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.engine.start();
+    }
+    
+    isFinished() {
+        return this.engine.state.gameOver || this.engine.state.frame >= this.replay.frames;
+    }
+    
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed < REPLAY_MIN_SPEED || speed > REPLAY_MAX_SPEED) {
+            throw new ValidationError('Replay speed must be between ' +
+                REPLAY_MIN_SPEED + 'x and ' + REPLAY_MAX_SPEED + 'x');
+        }
+        this.speed = speed;
+    }
+    
+    togglePause() {
+        this.paused = !this.paused;
+        this.accumulator = 0;
+    }
+    
+    // Real time is scaled by the playback speed, but frames are always whole
+    update(deltaTime) {
+        if (this.paused || this.isFinished()) return;
+        
+        this.accumulator += Math.min(deltaTime * this.speed, MAX_CATCH_UP_FRAMES * TICK_DURATION);
+        while (this.accumulator + TIME_EPSILON >= TICK_DURATION && !this.isFinished()) {
+            this.accumulator -= TICK_DURATION;
+            this.stepFrame();
+        }
+    }
+    
+    // How far rendering is between the last two frames (0-1)
+    getInterpolation() {
+        return this.paused ? 1 : this.accumulator / TICK_DURATION;
+    }
+    
+    stepFrame() {
+        if (this.isFinished()) return false;
+        
+        const frame = this.engine.state.frame;
+        const inputs = [];
+        while (this.cursor < this.replay.inputs.length && this.replay.inputs[this.cursor][0] === frame) {
+            const [, action, down] = this.replay.inputs[this.cursor++];
+            inputs.push({ action: ENGINE_ACTIONS[action], down: down === 1 });
+        }
+        
+        this.engine.tick(inputs);
+        return true;
+    }
+}
+
+// Tetris AI Class
+// Scores every placement the current piece can reach with a weighted board heuristic.
+// Runs headless, so it can play whole games in Node to benchmark rule changes
+class TetrisAI {
+    constructor(engine, weights = {}) {
+        const merged = { ...AI_WEIGHTS, ...weights };
+        const errors = TetrisAI.validateWeights(merged);
+        if (errors.length > 0) {
+            throw new ValidationError('AI weights validation failed: ' + errors.join(', '));
+        }
+        
+        this.engine = engine;
+        this.weights = merged;
+    }
+    
+    static validateWeights(weights) {
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+            return ['Weights must be an object'];
+        }
+        
+        const errors = [];
+        Object.keys(weights).forEach(name => {
+            if (!Object.keys(AI_WEIGHTS).includes(name)) {
+                errors.push('Unknown weight: ' + name);
+            } else if (typeof weights[name] !== 'number' || !Number.isFinite(weights[name])) {
+                errors.push('Weight ' + name + ' must be a finite number');
+            }
+        });
+        return errors;
+    }
+    
+    // Engine inputs for a list of actions; held actions are released straight away
+    static toInputs(actions) {
+        return actions.flatMap(action => HELD_ACTIONS.includes(action) ?
+            [{ action, down: true }, { action, down: false }] :
+            [{ action, down: true }]);
+    }
+    
+    // Breadth-first search over moves, rotations (with kicks) and drops from where the
+    // piece is now, so tucks and spins under overhangs are found too
+    findPlacements() {
+        const engine = this.engine;
+        const start = engine.state.currentPiece;
+        if (!start || engine.state.gameOver) return [];
+        
+        const rotations = [[1, 'rotateCW'], [-1, 'rotateCCW']];
+        if (engine.CONFIG.ALLOW_180) {
+            rotations.push([2, 'rotate180']);
+        }
+        
+        const key = piece => piece.x + ',' + piece.y + ',' + piece.rotation;
+        const paths = new Map([[key(start), []]]);
+        const queue = [start];
+        const placements = [];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const piece = queue[head];
+            const path = paths.get(key(piece));
+            const distance = engine.getDropDistance(piece);
+            
+            const moves = [
+                ['moveLeft', engine.isCollision(piece, -1, 0) ? null : { ...piece, x: piece.x - 1 }, 1],
+                ['moveRight', engine.isCollision(piece, 1, 0) ? null : { ...piece, x: piece.x + 1 }, 1],
+                // All the way down in one step, as that many soft drops
+                ['softDrop', distance > 0 ? { ...piece, y: piece.y + distance } : null, distance]
+            ];
+            rotations.forEach(([direction, action]) => {
+                const rotated = engine.getRotation(piece, direction);
+                moves.push([action, rotated ? rotated.piece : null, 1]);
+            });
+            
+            moves.forEach(([action, next, count]) => {
+                if (next && !paths.has(key(next))) {
+                    paths.set(key(next), path.concat(Array(count).fill(action)));
+                    queue.push(next);
+                }
+            });
+            
+            if (distance === 0) {
+                const placement = this.evaluate(piece, path);
+                if (placement) {
+                    placements.push(placement);
+                }
+            }
+        }
+        
+        return placements;
+    }
+    
+    // Placements are compared by score, then position, so the choice doesn't depend on
+    // search order and stays put while the piece moves toward it
+    bestPlacement() {
+        return this.findPlacements().reduce((best, placement) => {
+            if (!best || placement.score > best.score) return placement;
+            if (placement.score < best.score) return best;
+            const order = ['rotation', 'x', 'y'].map(name => placement[name] - best[name]).find(diff => diff !== 0);
+            return order < 0 ? placement : best;
+        }, null);
+    }
+    
+    // Returns null for placements that would lock partly above the board
+    evaluate(piece, path) {
+        const { shape, x, y, shapeIndex, rotation } = piece;
+        const board = this.engine.state.board.map(row => row.slice());
+        
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    if (y + row < 0) return null;
+                    board[y + row][x + col] = shapeIndex + 1;
+                }
+            }
+        }
+        
+        const remaining = board.filter(row => !row.every(cell => cell !== 0));
+        const features = { ...TetrisAI.measureBoard(remaining), linesCleared: board.length - remaining.length };
+        const score = Object.keys(this.weights).reduce((total, name) => total + this.weights[name] * features[name], 0);
+        
+        // Trailing soft drops are covered by the hard drop that locks the piece
+        const inputs = path.slice();
+        while (inputs[inputs.length - 1] === 'softDrop') {
+            inputs.pop();
+        }
+        inputs.push('hardDrop');
+        
+        return { x, y, rotation, shape, shapeIndex, inputs, features, score };
+    }
+    
+    // Column heights count from the bottom; a hole is an empty cell under a column's top
+    static measureBoard(rows) {
+        const width = rows.length > 0 ? rows[0].length : 0;
+        const heights = [];
+        let holes = 0;
+        
+        for (let col = 0; col < width; col++) {
+            const top = rows.findIndex(row => row[col] !== 0);
+            heights.push(top === -1 ? 0 : rows.length - top);
+            for (let row = top + 1; top !== -1 && row < rows.length; row++) {
+                if (rows[row][col] === 0) {
+                    holes++;
+                }
+            }
+        }
+        
+        let bumpiness = 0;
+        for (let col = 1; col < width; col++) {
+            bumpiness += Math.abs(heights[col] - heights[col - 1]);
+        }
+        
+        return {
+            aggregateHeight: heights.reduce((total, height) => total + height, 0),
+            holes,
+            bumpiness
+        };
+    }
+    
+    // Places one piece immediately, waiting out entry and line clear delays first.
+    // Returns the placement used, or null when the game is over
+    playPiece() {
+        const engine = this.engine;
+        while (!engine.state.currentPiece && !engine.state.gameOver) {
+            engine.tick();
+        }
+        if (engine.state.gameOver) return null;
+        
+        const placement = this.bestPlacement();
+        engine.step(TetrisAI.toInputs(placement ? placement.inputs : ['hardDrop']));
+        return placement;
+    }
+}
+
+// AI Player Class
+// Feeds an AI's inputs to its engine one at a time at a demo speed. Every input is
+// planned again from where the piece is, so gravity moving it in between is harmless
+class AIPlayer {
+    constructor(ai, speed = 'normal') {
+        if (!Object.keys(AI_SPEEDS).includes(speed)) {
+            throw new ValidationError('AI speed must be one of: ' + Object.keys(AI_SPEEDS).join(', '));
+        }
+        
+        this.ai = ai;
+        this.speed = speed;
+        this.timer = 0;
+    }
+    
+    // Inputs for the next frame
+    update(deltaTime) {
+        const state = this.ai.engine.state;
+        if (!state.currentPiece || state.gameOver) {
+            this.timer = 0;
+            return [];
+        }
+        
+        const interval = AI_SPEEDS[this.speed].interval;
+        if (interval === 0) {
+            const placement = this.ai.bestPlacement();
+            return TetrisAI.toInputs(placement ? placement.inputs : ['hardDrop']);
+        }
+        
+        this.timer += deltaTime;
+        if (this.timer + TIME_EPSILON < interval) return [];
+        this.timer = 0;
+        
+        // A drop down to a tuck or spin counts as one input, not one per row
+        const placement = this.ai.bestPlacement();
+        const actions = placement ? placement.inputs : ['hardDrop'];
+        let count = 1;
+        while (actions[0] === 'softDrop' && actions[count] === 'softDrop') {
+            count++;
+        }
+        return TetrisAI.toInputs(actions.slice(0, count));
+    }
+}
+
+// Game Stats Class
+// Counts pieces, keys, finesse faults, line clears and attack for one engine's game;
+// rates are worked out from the engine's game time
+class GameStats {
+    constructor(engine) {
+        this.engine = engine;
+        this.finesseTables = []; // per piece type, built on first lock
+        this.reset();
+        
+        engine.on('spawn', () => {
+            this.pieceMoves = 0;
+        });
+        engine.on('input', ({ action }) => this.handleInput(action));
+        engine.on('lock', ({ piece }) => this.handleLock(piece));
+        engine.on('clear', (clear) => this.handleClear(clear));
+    }
+    
+    reset() {
+        this.counts = {
+            pieces: 0,
+            keys: 0,
+            finesseFaults: 0,
+            lines: 0,
+            attack: 0,
+            clears: Object.fromEntries(CLEAR_TYPES.map(type => [type, 0])),
+            pieceCounts: SHAPES.map(() => 0)
+        };
+        this.pieceMoves = 0; // moves and rotations of the piece in play
+    }
+    
+    handleInput(action) {
+        this.counts.keys++;
+        if (FINESSE_ACTIONS.includes(action)) {
+            this.pieceMoves++;
+        }
+    }
+    
+    handleLock(piece) {
+        this.counts.pieces++;
+        this.counts.pieceCounts[piece.shapeIndex]++;
+        
+        // Tucks and spins under overhangs can't be judged against a drop from above
+        if (!this.isUnderOverhang(piece)) {
+            const minimum = this.finesseMinimum(piece);
+            if (minimum !== null && this.pieceMoves > minimum) {
+                this.counts.finesseFaults += this.pieceMoves - minimum;
+            }
+        }
+        this.pieceMoves = 0;
+    }
+    
+    handleClear(clear) {
+        if (clear.linesCleared === 0) return;
+        
+        this.counts.lines += clear.linesCleared;
+        this.counts.clears[CLEAR_TYPES[Math.min(clear.linesCleared, CLEAR_TYPES.length) - 1]]++;
+        this.counts.attack += VersusMatch.attack(clear);
+    }
+    
+    // Called after the piece is merged, so only cells above each of its columns are checked
+    isUnderOverhang({ shape, x, y }) {
+        const board = this.engine.state.board;
+        for (let col = 0; col < shape[0].length; col++) {
+            const top = shape.findIndex(row => row[col]);
+            if (top === -1) continue;
+            
+            for (let row = 0; row < y + top; row++) {
+                if (board[row] && board[row][x + col]) return true;
+            }
+        }
+        return false;
+    }
+    
+    // Fewest presses to the piece's final column and orientation, or null when it
+    // can't be reached from spawn without a tuck
+    finesseMinimum(piece) {
+        if (!this.finesseTables[piece.shapeIndex]) {
+            this.finesseTables[piece.shapeIndex] = GameStats.finesseTable(this.engine, piece.shapeIndex);
+        }
+        const presses = this.finesseTables[piece.shapeIndex]
+            .get(GameStats.footprint(SHAPES[piece.shapeIndex][piece.rotation], piece.x));
+        return presses === undefined ? null : presses;
+    }
+    
+    // Cells of a shape at column x, shifted up to row 0 so only the columns and outline count
+    static footprint(shape, x) {
+        const cells = [];
+        shape.forEach((row, rowIndex) => row.forEach((cell, col) => {
+            if (cell) cells.push([x + col, rowIndex]);
+        }));
+        const top = Math.min(...cells.map(([, row]) => row));
+        return cells.map(([col, row]) => col + ':' + (row - top)).sort().join(',');
+    }
+    
+    // Fewest presses from spawn to every placement of a piece type on an open board:
+    // taps, DAS to the wall (one press each) and rotations. Orientations that fill
+    // the same cells count as the same placement
+    static finesseTable(engine, shapeIndex) {
+        const width = engine.CONFIG.BOARD_WIDTH;
+        const shapes = SHAPES[shapeIndex];
+        const fits = (rotation, x) => shapes[rotation].every(row => row.every((cell, col) =>
+            !cell || (x + col >= 0 && x + col < width)));
+        
+        const directions = engine.CONFIG.ALLOW_180 ? [1, -1, 2] : [1, -1];
+        const start = { x: Math.floor(width / 2) - Math.floor(shapes[0][0].length / 2), rotation: 0 };
+        const presses = new Map([[start.x + ',' + start.rotation, 0]]);
+        const table = new Map();
+        const queue = [start];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const { x, rotation } = queue[head];
+            const count = presses.get(x + ',' + rotation);
+            const footprint = GameStats.footprint(shapes[rotation], x);
+            if (!table.has(footprint)) {
+                table.set(footprint, count);
+            }
+            
+            const next = [];
+            [-1, 1].forEach(dx => {
+                if (fits(rotation, x + dx)) {
+                    next.push({ x: x + dx, rotation });
+                    let wall = x + dx;
+                    while (fits(rotation, wall + dx)) {
+                        wall += dx;
+                    }
+                    next.push({ x: wall, rotation });
+                }
+            });
+            directions.forEach(direction => {
+                const newRotation = (rotation + direction + shapes.length) % shapes.length;
+                const kick = engine.rotationSystem.getKicks(shapeIndex, rotation, newRotation)
+                    .find(([kickX]) => fits(newRotation, x + kickX));
+                if (kick) {
+                    next.push({ x: x + kick[0], rotation: newRotation });
+                }
+            });
+            
+            next.forEach(state => {
+                const key = state.x + ',' + state.rotation;
+                if (!presses.has(key)) {
+                    presses.set(key, count + 1);
+                    queue.push(state);
+                }
+            });
+        }
+        return table;
+    }
+    
+    // Counts plus per-second and per-minute rates, rounded for display and storage
+    summary() {
+        const { pieces, keys, lines, attack } = this.counts;
+        const time = this.engine.state.time;
+        const perSecond = value => time > 0 ? Math.round(value / (time / 1000) * 100) / 100 : 0;
+        const perMinute = value => time > 0 ? Math.round(value / (time / 60000) * 10) / 10 : 0;
+        
+        return {
+            ...this.counts,
+            clears: { ...this.counts.clears },
+            pieceCounts: this.counts.pieceCounts.slice(),
+            time,
+            pps: perSecond(pieces),
+            lpm: perMinute(lines),
+            apm: perMinute(attack),
+            kpp: pieces > 0 ? Math.round(keys / pieces * 100) / 100 : 0
+        };
+    }
+    
+    snapshot() {
+        return JSON.parse(JSON.stringify({ ...this.counts, pieceMoves: this.pieceMoves }));
+    }
+    
+    restore(snapshot) {
+        const errors = GameStats.validate(snapshot);
+        if (errors.length > 0) {
+            throw new ValidationError('Stats validation failed: ' + errors.join(', '));
+        }
+        
+        const { pieceMoves, ...counts } = JSON.parse(JSON.stringify(snapshot));
+        this.counts = counts;
+        this.pieceMoves = pieceMoves;
+    }
+    
+    static validate(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            return ['Stats must be an object'];
+        }
+        
+        const errors = [];
+        const isCount = value => Number.isInteger(value) && value >= 0 && value <= MAX_SCORE;
+        ['pieces', 'keys', 'finesseFaults', 'lines', 'attack', 'pieceMoves'].forEach(name => {
+            if (!isCount(snapshot[name])) {
+                errors.push(name + ' must be a count');
+            }
+        });
+        if (!snapshot.clears || typeof snapshot.clears !== 'object' ||
+            !CLEAR_TYPES.every(type => isCount(snapshot.clears[type]))) {
+            errors.push('Invalid clear counts');
+        }
+        if (!Array.isArray(snapshot.pieceCounts) || snapshot.pieceCounts.length !== SHAPES.length ||
+            !snapshot.pieceCounts.every(isCount)) {
+            errors.push('Invalid piece counts');
+        }
+        return errors;
+    }
+}
+
+// Garbage Queue Class
+// Garbage sent to one player, waiting for their next lock without a line clear
+class GarbageQueue {
+    constructor() {
+        this.entries = []; // [{ rows, hole }], oldest first
+    }
+    
+    add(rows, hole) {
+        this.entries.push({ rows, hole });
+    }
+    
+    total() {
+        return this.entries.reduce((total, garbage) => total + garbage.rows, 0);
+    }
+    
+    // An attack cancels the oldest garbage first; returns the rows left over to send
+    cancel(rows) {
+        while (rows > 0 && this.entries.length > 0) {
+            const cancelled = Math.min(rows, this.entries[0].rows);
+            this.entries[0].rows -= cancelled;
+            rows -= cancelled;
+            if (this.entries[0].rows === 0) {
+                this.entries.shift();
+            }
+        }
+        return rows;
+    }
+    
+    // Raises everything pending into the engine's board
+    insertInto(engine) {
+        const entries = this.entries;
+        this.entries = [];
+        entries.forEach(({ rows, hole }) => {
+            if (!engine.state.gameOver) {
+                engine.insertGarbage(Math.min(rows, engine.CONFIG.BOARD_HEIGHT), hole);
+            }
+        });
+    }
+}
+
+// Versus Match Class
+// Two engines fed the same pieces, trading garbage until one tops out. Attacks first
+// cancel the sender's own incoming garbage; what is left waits for the opponent's next
+// lock without a line clear
+class VersusMatch {
+    constructor(config = {}) {
+        const seed = config.seed !== undefined ? config.seed : SeededRandom.createSeed();
+        
+        this.players = [0, 1].map(() => new TetrisEngine({ ...config, mode: 'classic', seed }));
+        this.incoming = [new GarbageQueue(), new GarbageQueue()];
+        this.toppedOut = [];
+        this.result = null; // { winner } once decided; winner is null for a draw
+        this.listeners = {};
+        
+        // Holes come from their own generator so both piece sequences stay identical
+        this.rng = new SeededRandom((seed ^ 0x9E3779B9) >>> 0);
+        
+        this.players.forEach((engine, index) => {
+            engine.on('clear', (clear) => this.handleClear(index, clear));
+            engine.on('gameOver', () => this.toppedOut.push(index));
+        });
+    }
+    
+    // Rows sent for one clear event, before cancelling
+    static attack({ linesCleared, tSpin = 'none', perfectClear = false, combo = 0, backToBackBonus = false }) {
+        if (linesCleared === 0) return 0;
+        
+        let rows;
+        if (tSpin === 'full') {
+            rows = ATTACK_TABLE.tSpin[linesCleared];
+        } else if (tSpin === 'mini') {
+            rows = ATTACK_TABLE.miniTSpin[Math.min(linesCleared, 2)];
+        } else {
+            rows = ATTACK_TABLE.lines[linesCleared];
+        }
+        
+        if (backToBackBonus) {
+            rows += ATTACK_TABLE.backToBack;
+        }
+        rows += ATTACK_TABLE.combo[Math.max(0, Math.min(combo, ATTACK_TABLE.combo.length - 1))];
+        if (perfectClear) {
+            rows += ATTACK_TABLE.perfectClear;
+        }
+        return rows;
+    }
+    
+    // Event hooks: attack, end
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+    }
+    
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(handler => handler(data));
+    }
+    
+    start() {
+        this.players.forEach(engine => engine.start());
+    }
+    
+    // One fixed frame for both players; inputs is [player 1 inputs, player 2 inputs]
+    tick(inputs = [[], []]) {
+        if (this.result) return;
+        
+        this.players.forEach((engine, index) => engine.tick(inputs[index] || []));
+        
+        // Both topping out on the same frame is a draw
+        if (this.toppedOut.length > 0) {
+            this.result = { winner: this.toppedOut.length === 1 ? 1 - this.toppedOut[0] : null };
+            this.emit('end', this.result);
+        }
+    }
+    
+    getIncoming(index) {
+        return this.incoming[index].total();
+    }
+    
+    handleClear(index, clear) {
+        if (this.result) return;
+        
+        if (clear.linesCleared === 0) {
+            this.incoming[index].insertInto(this.players[index]);
+            return;
+        }
+        
+        const attack = VersusMatch.attack(clear);
+        const rows = this.incoming[index].cancel(attack);
+        if (rows > 0) {
+            const opponent = this.players[1 - index];
+            this.incoming[1 - index].add(rows, Math.floor(this.rng.next() * opponent.CONFIG.BOARD_WIDTH));
+        }
+        
+        if (attack > 0) {
+            this.emit('attack', { player: index, rows: attack, sent: rows });
+        }
+    }
+}
+
+// Network Protocol Class
+// Encodes and validates online versus messages; nothing from the network is trusted
+class NetworkProtocol {
+    static encode(type, data = {}) {
+        return JSON.stringify({ v: PROTOCOL_VERSION, type, ...data });
+    }
+    
+    // One digit per cell, row by row
+    static encodeBoard(board) {
+        return board.map(row => row.join('')).join('');
+    }
+    
+    static decodeBoard(text, width, height) {
+        return Array.from({ length: height }, (_, row) =>
+            Array.from(text.slice(row * width, (row + 1) * width), Number));
+    }
+    
+    static parse(text) {
+        if (typeof text !== 'string' || text.length > NETWORK_MAX_MESSAGE_SIZE) {
+            throw new ValidationError('Message must be text under ' + NETWORK_MAX_MESSAGE_SIZE + ' characters');
+        }
+        
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError('Message is not valid JSON');
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            throw new ValidationError('Message must be an object');
+        }
+        if (message.v !== PROTOCOL_VERSION) {
+            throw new ValidationError('Unsupported protocol version: ' + message.v);
+        }
+        
+        const errors = [];
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        
+        switch (message.type) {
+            case 'joined':
+                if (typeof message.room !== 'string' || !ROOM_CODE_PATTERN.test(message.room) || !isInt(message.player, 0, 1)) {
+                    errors.push('Invalid room');
+                }
+                break;
+            case 'start':
+                if (!isInt(message.seed, 0, 0xFFFFFFFF)) {
+                    errors.push('Seed must be an unsigned 32-bit integer');
+                }
+                break;
+            case 'board': {
+                const { board, width, height } = message;
+                if (!isInt(width, 4, 50) || !isInt(height, 4, 50)) {
+                    errors.push('Invalid board size');
+                } else if (typeof board !== 'string' || board.length !== width * height ||
+                           !new RegExp('^[0-' + GARBAGE_CELL + ']*$').test(board)) {
+                    errors.push('Invalid board');
+                }
+                if (!isInt(message.score, 0, MAX_SCORE) || !isInt(message.lines, 0, MAX_SCORE)) {
+                    errors.push('Invalid score or lines');
+                }
+                break;
+            }
+            case 'attack':
+                if (!isInt(message.rows, 1, MAX_ATTACK_ROWS) || !isInt(message.hole, 0, 49)) {
+                    errors.push('Invalid attack');
+                }
+                break;
+            case 'topOut':
+            case 'left':
+                break;
+            case 'error':
+                if (typeof message.message !== 'string' || message.message.length > 200) {
+                    errors.push('Invalid error message');
+                }
+                break;
+            default:
+                errors.push('Unknown message type');
+        }
+        
+        if (errors.length > 0) {
+            throw new ValidationError('Message validation failed: ' + errors.join(', '));
+        }
+        
+        return message;
+    }
+}
+
+// Canvas Renderer Class
+// Draws an engine's board, pieces, next queue and hold box
+class CanvasRenderer {
+    constructor(engine, config, elementIds = {}) {
+        this.engine = engine;
+        this.CONFIG = config;
+        this.elementIds = {
+            board: 'tetris',
+            next: 'next',
+            nextPanel: 'nextPanel',
+            hold: 'hold',
+            ...elementIds
+        };
+        this.theme = BUILTIN_THEMES[DEFAULT_THEME];
+        this.hint = null; // AI placement suggested for the current piece
+    }
+    
+    setTheme(theme) {
+        this.theme = theme;
+    }
+    
+    initialize() {
+        this.canvas = document.getElementById(this.elementIds.board);
+        if (!this.canvas) {
+            throw new Error('Canvas element not found');
+        }
+        
+        this.ctx = this.canvas.getContext('2d');
+        if (!this.ctx) {
+            throw new Error('Cannot get 2D context');
+        }
+        
+        // Test canvas functionality
+        try {
+            this.ctx.fillStyle = '#000';
+            this.ctx.fillRect(0, 0, 1, 1);
+            this.ctx.scale(this.CONFIG.BLOCK_SIZE, this.CONFIG.BLOCK_SIZE);
+        } catch (error) {
+            throw new Error('Canvas context is not functional: ' + error.message);
+        }
+        
+        this.initializePreviewCanvas();
+    }
+    
+    initializePreviewCanvas() {
+        // The next and hold boxes are optional; the game runs without them
+        const panel = document.getElementById(this.elementIds.nextPanel);
+        if (panel) {
+            panel.style.display = this.CONFIG.PREVIEW_COUNT > 0 ? '' : 'none';
+        }
+        
+        this.nextCtx = this.CONFIG.PREVIEW_COUNT > 0 ?
+            this.initializeSideCanvas(this.elementIds.next, 5, this.CONFIG.PREVIEW_COUNT * 3) :
+            null;
+        this.holdCtx = this.initializeSideCanvas(this.elementIds.hold, 5, 3);
+    }
+    
+    initializeSideCanvas(id, width, height) {
+        const canvas = document.getElementById(id);
+        if (!canvas) return null;
+        
+        // Resizing the canvas also resets its transform, so re-initializing is safe
+        canvas.width = width * this.CONFIG.BLOCK_SIZE;
+        canvas.height = height * this.CONFIG.BLOCK_SIZE;
+        
+        const ctx = canvas.getContext('2d');
+        if (ctx) {
+            ctx.scale(this.CONFIG.BLOCK_SIZE, this.CONFIG.BLOCK_SIZE);
+        }
+        return ctx;
+    }
+    
+    // Only the locked cells of a board, without an engine; used for the online opponent
+    renderBoard(board) {
+        this.ctx.fillStyle = this.theme.board.background;
+        this.ctx.fillRect(0, 0, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+        this.drawGrid();
+        this.drawBoard({ board, clearingRows: [] });
+    }
+    
+    // alpha is how far the display is between the previous and current frame (0-1)
+    render(alpha = 1) {
+        if (!this.ctx || !this.canvas) {
+            console.error('Canvas context not available');
+            return;
+        }
+        
+        // Validate canvas dimensions
+        if (this.canvas.width <= 0 || this.canvas.height <= 0) {
+            throw new Error('Invalid canvas dimensions');
+        }
+        
+        const state = this.engine.state;
+        
+        // Clear canvas
+        this.ctx.fillStyle = this.theme.board.background;
+        this.ctx.fillRect(0, 0, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+        
+        // Draw background grid and board
+        this.drawGrid();
+        this.drawBoard(state);
+        
+        // Draw landing preview, then the current piece over it
+        if (state.currentPiece) {
+            this.drawGhost(state.currentPiece);
+            if (this.hint) {
+                this.drawHint(this.hint);
+            }
+            this.drawPiece(this.getInterpolatedPiece(state.currentPiece, alpha));
+        }
+        
+        // Draw next-piece preview and hold box
+        this.drawPreview();
+        this.drawHold(state);
+    }
+    
+    // Slides one-cell moves between frames; spawns, rotations and drops snap into place
+    getInterpolatedPiece(piece, alpha) {
+        const previous = this.engine.previousPiece;
+        if (!this.CONFIG.INTERPOLATE || !previous || alpha >= 1 ||
+            previous.shapeIndex !== piece.shapeIndex || previous.rotation !== piece.rotation) {
+            return piece;
+        }
+        
+        const dx = piece.x - previous.x;
+        const dy = piece.y - previous.y;
+        if (Math.abs(dx) > 1 || Math.abs(dy) > 1) {
+            return piece;
+        }
+        
+        return {
+            ...piece,
+            x: previous.x + dx * alpha,
+            y: previous.y + dy * alpha
+        };
+    }
+    
+    drawGrid() {
+        const { grid } = this.theme.board;
+        if (!grid) return;
+        
+        this.ctx.strokeStyle = grid;
+        this.ctx.lineWidth = 0.04;
+        this.ctx.beginPath();
+        for (let col = 1; col < this.CONFIG.BOARD_WIDTH; col++) {
+            this.ctx.moveTo(col, 0);
+            this.ctx.lineTo(col, this.CONFIG.BOARD_HEIGHT);
+        }
+        for (let row = 1; row < this.CONFIG.BOARD_HEIGHT; row++) {
+            this.ctx.moveTo(0, row);
+            this.ctx.lineTo(this.CONFIG.BOARD_WIDTH, row);
+        }
+        this.ctx.stroke();
+    }
+    
+    drawBoard(state) {
+        for (let row = 0; row < this.CONFIG.BOARD_HEIGHT; row++) {
+            // Rows waiting out the line clear delay are highlighted
+            const clearing = state.clearingRows.includes(row);
+            
+            for (let col = 0; col < this.CONFIG.BOARD_WIDTH; col++) {
+                if (state.board[row][col] === GARBAGE_CELL) {
+                    this.drawBlock(this.ctx, col, row, GARBAGE_CELL - 1,
+                        clearing ? this.theme.board.clearing : this.theme.board.garbage);
+                } else if (state.board[row][col]) {
+                    const colorIndex = state.board[row][col] - 1;
+                    if (colorIndex >= 0 && colorIndex < this.theme.pieces.length) {
+                        this.drawBlock(this.ctx, col, row, colorIndex,
+                            clearing ? this.theme.board.clearing : null);
+                    }
+                }
+            }
+        }
+    }
+    
+    drawPiece(piece, ctx = this.ctx) {
+        if (!this.engine.validatePiece(piece)) return;
+        
+        const { shape, x, y, shapeIndex } = piece;
+        
+        if (shapeIndex >= 0 && shapeIndex < this.theme.pieces.length) {
+            for (let row = 0; row < shape.length; row++) {
+                for (let col = 0; col < shape[row].length; col++) {
+                    if (shape[row][col]) {
+                        this.drawBlock(ctx, x + col, y + row, shapeIndex);
+                    }
+                }
+            }
+        }
+    }
+    
+    // One cell in the theme's block style; color overrides the piece color
+    drawBlock(ctx, x, y, colorIndex, color = null) {
+        const { blockStyle, board } = this.theme;
+        
+        ctx.fillStyle = color || this.theme.pieces[colorIndex];
+        ctx.fillRect(x, y, 1, 1);
+        
+        if (blockStyle === 'beveled') {
+            this.drawBevel(ctx, x, y);
+        } else if (blockStyle === 'glossy') {
+            this.drawGloss(ctx, x, y);
+        } else if (blockStyle === 'pattern') {
+            this.drawPattern(ctx, x, y, colorIndex);
+        }
+        
+        if (board.outline) {
+            ctx.strokeStyle = board.outline;
+            ctx.lineWidth = 0.05;
+            ctx.strokeRect(x, y, 1, 1);
+        }
+    }
+    
+    // Light top and left edges, dark bottom and right edges
+    drawBevel(ctx, x, y) {
+        const edge = 0.15;
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + 1, y);
+        ctx.lineTo(x + 1 - edge, y + edge);
+        ctx.lineTo(x + edge, y + edge);
+        ctx.lineTo(x + edge, y + 1 - edge);
+        ctx.lineTo(x, y + 1);
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(x + 1, y + 1);
+        ctx.lineTo(x, y + 1);
+        ctx.lineTo(x + edge, y + 1 - edge);
+        ctx.lineTo(x + 1 - edge, y + 1 - edge);
+        ctx.lineTo(x + 1 - edge, y + edge);
+        ctx.lineTo(x + 1, y);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    drawGloss(ctx, x, y) {
+        const gradient = ctx.createLinearGradient(x, y, x, y + 1);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.6)');
+        gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.1)');
+        gradient.addColorStop(0.5, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, y, 1, 1);
+    }
+    
+    // Each piece gets its own marking so pieces can be told apart without color
+    drawPattern(ctx, x, y, colorIndex) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = 0.1;
+        ctx.beginPath();
+        
+        switch (colorIndex) {
+            case 0: // dot
+                ctx.arc(x + 0.5, y + 0.5, 0.18, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+            case 1: // horizontal stripes
+                [0.3, 0.5, 0.7].forEach(offset => {
+                    ctx.moveTo(x + 0.15, y + offset);
+                    ctx.lineTo(x + 0.85, y + offset);
+                });
+                break;
+            case 2: // vertical stripes
+                [0.3, 0.5, 0.7].forEach(offset => {
+                    ctx.moveTo(x + offset, y + 0.15);
+                    ctx.lineTo(x + offset, y + 0.85);
+                });
+                break;
+            case 3: // inner square
+                ctx.rect(x + 0.25, y + 0.25, 0.5, 0.5);
+                break;
+            case 4: // rising diagonal
+                ctx.moveTo(x + 0.2, y + 0.8);
+                ctx.lineTo(x + 0.8, y + 0.2);
+                break;
+            case 5: // falling diagonal
+                ctx.moveTo(x + 0.2, y + 0.2);
+                ctx.lineTo(x + 0.8, y + 0.8);
+                break;
+            case GARBAGE_CELL - 1: // diagonal cross
+                ctx.moveTo(x + 0.2, y + 0.2);
+                ctx.lineTo(x + 0.8, y + 0.8);
+                ctx.moveTo(x + 0.8, y + 0.2);
+                ctx.lineTo(x + 0.2, y + 0.8);
+                break;
+            default: // cross
+                ctx.moveTo(x + 0.5, y + 0.2);
+                ctx.lineTo(x + 0.5, y + 0.8);
+                ctx.moveTo(x + 0.2, y + 0.5);
+                ctx.lineTo(x + 0.8, y + 0.5);
+        }
+        ctx.stroke();
+    }
+    
+    drawGhost(piece) {
+        if (!this.CONFIG.GHOST_PIECE || !this.engine.validatePiece(piece)) return;
+        
+        const distance = this.engine.getDropDistance(piece);
+        if (distance === 0) return;
+        
+        const { shape, x, shapeIndex } = piece;
+        const y = piece.y + distance;
+        
+        this.ctx.globalAlpha = this.CONFIG.GHOST_OPACITY;
+        this.ctx.fillStyle = this.theme.pieces[shapeIndex];
+        this.ctx.strokeStyle = this.theme.pieces[shapeIndex];
+        this.ctx.lineWidth = 0.1;
+        
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    if (this.CONFIG.GHOST_STYLE === 'outline') {
+                        this.ctx.strokeRect(x + col + 0.05, y + row + 0.05, 0.9, 0.9);
+                    } else {
+                        this.ctx.fillRect(x + col, y + row, 1, 1);
+                    }
+                }
+            }
+        }
+        
+        this.ctx.globalAlpha = 1;
+    }
+    
+    // An outline in the theme's highlight color, so it can't be mistaken for the ghost
+    drawHint({ shape, x, y }) {
+        this.ctx.strokeStyle = this.theme.ui.highlight;
+        this.ctx.lineWidth = 0.12;
+        
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    this.ctx.strokeRect(x + col + 0.1, y + row + 0.1, 0.8, 0.8);
+                }
+            }
+        }
+    }
+    
+    // upcoming may run short of the preview, e.g. near the end of a puzzle
+    drawPreview(upcoming = this.engine.pieceQueue.peek()) {
+        if (!this.nextCtx) return;
+        
+        const slotWidth = 5;
+        const slotHeight = 3;
+        
+        this.nextCtx.fillStyle = this.theme.board.background;
+        this.nextCtx.fillRect(0, 0, slotWidth, this.CONFIG.PREVIEW_COUNT * slotHeight);
+        
+        upcoming.forEach((shapeIndex, slot) => {
+            const shape = this.getPreviewShape(shapeIndex);
+            this.drawPiece({
+                shape,
+                x: (slotWidth - shape[0].length) / 2,
+                y: slot * slotHeight + (slotHeight - shape.length) / 2,
+                shapeIndex
+            }, this.nextCtx);
+        });
+    }
+    
+    getPreviewShape(shapeIndex) {
+        // Strip the empty rows and columns of the rotation box
+        const rows = SHAPES[shapeIndex][0].filter(row => row.some(cell => cell));
+        const usedColumns = rows[0].map((cell, col) => rows.some(row => row[col]));
+        return rows.map(row => row.filter((cell, col) => usedColumns[col]));
+    }
+    
+    drawHold(state) {
+        if (!this.holdCtx) return;
+        
+        this.holdCtx.fillStyle = this.theme.board.background;
+        this.holdCtx.fillRect(0, 0, 5, 3);
+        
+        const { heldPiece, canHold } = state;
+        if (heldPiece === null) return;
+        
+        const shape = this.getPreviewShape(heldPiece);
+        
+        // Dim the held piece while it can't be swapped back
+        this.holdCtx.globalAlpha = canHold ? 1 : 0.4;
+        this.drawPiece({
+            shape,
+            x: (5 - shape[0].length) / 2,
+            y: (3 - shape.length) / 2,
+            shapeIndex: heldPiece
+        }, this.holdCtx);
+        this.holdCtx.globalAlpha = 1;
+    }
+}
+
+// Theme Manager Class
+// Built-in and imported themes, with the selection persisted in localStorage
+class ThemeManager {
+    constructor() {
+        this.securityValidator = new SecurityValidator();
+        this.load();
+    }
+    
+    // Returns a list of problems; an empty list means the theme can be used
+    static validate(theme) {
+        const errors = [];
+        const isColor = (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+        
+        if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+            return ['Theme must be an object'];
+        }
+        if (!BLOCK_STYLES.includes(theme.blockStyle)) {
+            errors.push('Block style must be one of: ' + BLOCK_STYLES.join(', '));
+        }
+        if (!Array.isArray(theme.pieces) || theme.pieces.length !== SHAPES.length || !theme.pieces.every(isColor)) {
+            errors.push('Pieces must be ' + SHAPES.length + ' hex colors');
+        }
+        
+        ['board', 'ui'].forEach(section => {
+            const colors = theme[section];
+            if (colors === undefined) return;
+            if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+                errors.push(section + ' must be an object');
+                return;
+            }
+            
+            const known = Object.keys(BUILTIN_THEMES[DEFAULT_THEME][section]);
+            Object.keys(colors).forEach(key => {
+                // The grid and cell outline can be turned off with null
+                const nullable = section === 'board' && (key === 'grid' || key === 'outline');
+                if (!known.includes(key)) {
+                    errors.push('Unknown ' + section + ' color: ' + key);
+                } else if (!isColor(colors[key]) && !(nullable && colors[key] === null)) {
+                    errors.push(section + '.' + key + ' must be a hex color');
+                }
+            });
+        });
+        
+        return errors;
+    }
+    
+    // Imported theme files: { version, name, blockStyle, pieces, board?, ui? }
+    static parse(text) {
+        if (typeof text !== 'string' || text.length > THEME_MAX_SIZE) {
+            throw new ValidationError('Theme file is too large');
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError('Theme is not valid JSON');
+        }
+        
+        if (!data || data.version !== THEME_VERSION) {
+            throw new ValidationError('Unsupported theme version');
+        }
+        
+        const { name, ...theme } = data;
+        delete theme.version;
+        
+        const errors = ThemeManager.validate(theme);
+        if (errors.length > 0) {
+            throw new ValidationError('Theme validation failed: ' + errors.join(', '));
+        }
+        
+        return { name, theme: ThemeManager.complete(theme) };
+    }
+    
+    // Board and UI colors left out of a theme fall back to the default theme's
+    static complete(theme) {
+        const defaults = BUILTIN_THEMES[DEFAULT_THEME];
+        return {
+            blockStyle: theme.blockStyle,
+            pieces: [...theme.pieces],
+            board: { ...defaults.board, ...theme.board },
+            ui: { ...defaults.ui, ...theme.ui }
+        };
+    }
+    
+    load() {
+        this.custom = {};
+        this.active = DEFAULT_THEME;
+        
+        try {
+            const stored = localStorage.getItem('tetrisThemes');
+            if (stored !== null) {
+                const data = JSON.parse(stored);
+                if (!this.isValidStore(data)) {
+                    console.warn('Invalid themes in storage, resetting');
+                    localStorage.removeItem('tetrisThemes');
+                } else {
+                    Object.keys(data.themes).forEach(name => {
+                        this.custom[name] = ThemeManager.complete(data.themes[name]);
+                    });
+                    this.active = data.active;
+                }
+            }
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    isValidStore(data) {
+        if (!data || typeof data !== 'object' || data.version !== THEME_VERSION) return false;
+        if (!data.themes || typeof data.themes !== 'object' || Array.isArray(data.themes)) return false;
+        
+        const names = Object.keys(data.themes);
+        if (names.length > MAX_CUSTOM_THEMES) return false;
+        if (names.some(name => !this.securityValidator.isValidName(name, 20) ||
+                               this.isBuiltIn(name) ||
+                               ThemeManager.validate(data.themes[name]).length > 0)) {
+            return false;
+        }
+        
+        return typeof data.active === 'string' &&
+            (this.isBuiltIn(data.active) || names.includes(data.active));
+    }
+    
+    save() {
+        try {
+            localStorage.setItem('tetrisThemes', JSON.stringify({
+                version: THEME_VERSION,
+                active: this.active,
+                themes: this.custom
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    getNames() {
+        return [...Object.keys(BUILTIN_THEMES), ...Object.keys(this.custom)];
+    }
+    
+    getTheme(name = this.active) {
+        return BUILTIN_THEMES[name] || this.custom[name] || BUILTIN_THEMES[DEFAULT_THEME];
+    }
+    
+    isBuiltIn(name) {
+        return BUILTIN_THEMES[name] !== undefined;
+    }
+    
+    select(name) {
+        if (!this.getNames().includes(name)) {
+            throw new ValidationError('Unknown theme: ' + name);
+        }
+        
+        this.active = name;
+        this.save();
+    }
+    
+    // Adds or replaces a custom theme from an imported file and selects it
+    import(text) {
+        const { name, theme } = ThemeManager.parse(text);
+        
+        const sanitized = this.securityValidator.sanitizeString(String(name || '')).trim();
+        if (!this.securityValidator.isValidName(sanitized, 20) || this.isBuiltIn(sanitized)) {
+            throw new ValidationError('Theme name must be 1-20 characters and not a built-in name');
+        }
+        if (!this.custom[sanitized] && Object.keys(this.custom).length >= MAX_CUSTOM_THEMES) {
+            throw new ValidationError('At most ' + MAX_CUSTOM_THEMES + ' themes can be saved');
+        }
+        
+        this.custom[sanitized] = theme;
+        this.active = sanitized;
+        this.save();
+        return sanitized;
+    }
+    
+    remove(name) {
+        if (this.isBuiltIn(name) || !this.custom[name]) {
+            return;
+        }
+        
+        delete this.custom[name];
+        if (this.active === name) {
+            this.active = DEFAULT_THEME;
+        }
+        this.save();
+    }
+}
+
+// Key Bindings Class
+// Maps keys to actions; an action may have several keys, a key belongs to one action
+class KeyBindings {
+    constructor(bindings = DEFAULT_BINDINGS) {
+        const errors = KeyBindings.validate(bindings);
+        if (errors.length > 0) {
+            throw new ValidationError('Key bindings validation failed: ' + errors.join(', '));
+        }
+        
+        this.bindings = {};
+        BINDABLE_ACTIONS.forEach(action => {
+            this.bindings[action] = (bindings[action] || []).map(KeyBindings.normalizeKey);
+        });
+    }
+    
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+    
+    static formatKey(key) {
+        if (KEY_DISPLAY_NAMES[key]) return KEY_DISPLAY_NAMES[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+    
+    static validate(bindings) {
+        const errors = [];
+        
+        if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+            return ['Bindings must be an object'];
+        }
+        
+        const owners = {};
+        Object.keys(bindings).forEach(action => {
+            const keys = bindings[action];
+            
+            if (!BINDABLE_ACTIONS.includes(action)) {
+                errors.push('Unknown action: ' + action);
+                return;
+            }
+            if (!Array.isArray(keys) || keys.length > MAX_KEYS_PER_ACTION) {
+                errors.push(action + ' must have at most ' + MAX_KEYS_PER_ACTION + ' keys');
+                return;
+            }
+            
+            keys.forEach(key => {
+                if (typeof key !== 'string' || key.length === 0 || key.length > 20) {
+                    errors.push('Invalid key for ' + action);
+                    return;
+                }
+                
+                const normalized = KeyBindings.normalizeKey(key);
+                if (owners[normalized] && owners[normalized] !== action) {
+                    errors.push(KeyBindings.formatKey(normalized) + ' is bound to both ' +
+                        owners[normalized] + ' and ' + action);
+                }
+                owners[normalized] = action;
+            });
+        });
+        
+        return errors;
+    }
+    
+    getAction(key) {
+        const normalized = KeyBindings.normalizeKey(key);
+        return BINDABLE_ACTIONS.find(action => this.bindings[action].includes(normalized)) || null;
+    }
+    
+    getKeys(action) {
+        return this.bindings[action] || [];
+    }
+    
+    findConflict(action, key) {
+        const owner = this.getAction(key);
+        return owner && owner !== action ? owner : null;
+    }
+    
+    // Returns the action the key was taken from, if it was bound elsewhere
+    bind(action, key) {
+        if (!BINDABLE_ACTIONS.includes(action)) {
+            throw new ValidationError('Unknown action: ' + action);
+        }
+        
+        const normalized = KeyBindings.normalizeKey(key);
+        const conflict = this.findConflict(action, normalized);
+        if (conflict) {
+            this.unbind(conflict, normalized);
+        }
+        
+        const keys = this.bindings[action];
+        if (!keys.includes(normalized)) {
+            if (keys.length >= MAX_KEYS_PER_ACTION) {
+                keys.shift();
+            }
+            keys.push(normalized);
+        }
+        
+        return conflict;
+    }
+    
+    unbind(action, key) {
+        const normalized = KeyBindings.normalizeKey(key);
+        this.bindings[action] = this.getKeys(action).filter(k => k !== normalized);
+    }
+    
+    // Actions left without any key
+    getUnbound() {
+        return BINDABLE_ACTIONS.filter(action => this.bindings[action].length === 0);
+    }
+    
+    toJSON() {
+        const copy = {};
+        BINDABLE_ACTIONS.forEach(action => {
+            copy[action] = [...this.bindings[action]];
+        });
+        return copy;
+    }
+}
+
+// Controls Profiles Class
+// Built-in and saved binding profiles, persisted to localStorage
+class ControlsProfiles {
+    constructor() {
+        this.securityValidator = new SecurityValidator();
+        this.load();
+    }
+    
+    load() {
+        this.custom = {};
+        this.active = 'Standard';
+        
+        try {
+            const stored = localStorage.getItem('tetrisControls');
+            if (stored !== null) {
+                const data = JSON.parse(stored);
+                if (!this.isValidStore(data)) {
+                    console.warn('Invalid controls in storage, resetting');
+                    localStorage.removeItem('tetrisControls');
+                } else {
+                    this.custom = data.profiles;
+                    this.active = data.active;
+                }
+            }
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+        
+        this.bindings = new KeyBindings(this.getProfile(this.active));
+    }
+    
+    isValidStore(data) {
+        if (!data || typeof data !== 'object' || data.version !== CONTROLS_VERSION) return false;
+        if (!data.profiles || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) return false;
+        
+        const names = Object.keys(data.profiles);
+        if (names.length > MAX_CUSTOM_PROFILES) return false;
+        if (names.some(name => !this.securityValidator.isValidName(name, 20) ||
+                               KeyBindings.validate(data.profiles[name]).length > 0)) {
+            return false;
+        }
+        
+        return typeof data.active === 'string' &&
+            (BUILTIN_BINDING_PROFILES[data.active] !== undefined || names.includes(data.active));
+    }
+    
+    save() {
+        try {
+            localStorage.setItem('tetrisControls', JSON.stringify({
+                version: CONTROLS_VERSION,
+                active: this.active,
+                profiles: this.custom
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    getNames() {
+        return [...Object.keys(BUILTIN_BINDING_PROFILES), ...Object.keys(this.custom)];
+    }
+    
+    getProfile(name) {
+        return BUILTIN_BINDING_PROFILES[name] || this.custom[name] || DEFAULT_BINDINGS;
+    }
+    
+    isBuiltIn(name) {
+        return BUILTIN_BINDING_PROFILES[name] !== undefined;
+    }
+    
+    select(name) {
+        if (!this.getNames().includes(name)) {
+            throw new ValidationError('Unknown controls profile: ' + name);
+        }
+        
+        this.active = name;
+        this.bindings = new KeyBindings(this.getProfile(name));
+        this.save();
+    }
+    
+    // Stores the active bindings; built-in profiles are copied to a custom one instead
+    commit() {
+        if (this.isBuiltIn(this.active)) {
+            this.saveAs('Custom');
+            return;
+        }
+        
+        this.custom[this.active] = this.bindings.toJSON();
+        this.save();
+    }
+    
+    saveAs(name) {
+        const sanitized = this.securityValidator.sanitizeString(String(name)).trim();
+        if (!this.securityValidator.isValidName(sanitized, 20) || this.isBuiltIn(sanitized)) {
+            throw new ValidationError('Profile name must be 1-20 characters and not a built-in name');
+        }
+        if (!this.custom[sanitized] && Object.keys(this.custom).length >= MAX_CUSTOM_PROFILES) {
+            throw new ValidationError('At most ' + MAX_CUSTOM_PROFILES + ' profiles can be saved');
+        }
+        
+        this.custom[sanitized] = this.bindings.toJSON();
+        this.active = sanitized;
+        this.save();
+    }
+    
+    remove(name) {
+        if (this.isBuiltIn(name) || !this.custom[name]) {
+            return;
+        }
+        
+        delete this.custom[name];
+        if (this.active === name) {
+            this.active = 'Standard';
+            this.bindings = new KeyBindings(DEFAULT_BINDINGS);
+        }
+        this.save();
+    }
+}
+
+// Enhanced Input Handler Class
+// Translates keyboard events into engine actions queued on the game
+class InputHandler {
+    constructor(game) {
+        this.game = game;
+        this.keys = {};
+        this.keyDebounce = {};
+        this.lastKeyTime = {};
+        this.eventListeners = [];
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        this.keyDownHandler = this.handleKeyDown.bind(this);
+        this.keyUpHandler = this.handleKeyUp.bind(this);
+        this.blurHandler = this.handleBlur.bind(this);
+        this.focusHandler = this.handleFocus.bind(this);
+        this.visibilityHandler = this.handleVisibilityChange.bind(this);
+        
+        document.addEventListener('keydown', this.keyDownHandler);
+        document.addEventListener('keyup', this.keyUpHandler);
+        window.addEventListener('blur', this.blurHandler);
+        window.addEventListener('focus', this.focusHandler);
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+        
+        this.eventListeners.push(
+            { element: document, event: 'keydown', handler: this.keyDownHandler },
+            { element: document, event: 'keyup', handler: this.keyUpHandler },
+            { element: window, event: 'blur', handler: this.blurHandler },
+            { element: window, event: 'focus', handler: this.focusHandler },
+            { element: document, event: 'visibilitychange', handler: this.visibilityHandler }
+        );
+    }
+    
+    handleKeyDown(e) {
+        // The controls screen takes every key while it waits for a new binding
+        if (this.game.controlsMenu && this.game.controlsMenu.handleKey(e)) {
+            return;
+        }
+        
+        // Text fields such as the initials prompt keep their typing
+        if (e.target && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+            return;
+        }
+        
+        const key = KeyBindings.normalizeKey(e.key);
+        if (this.keys[key]) return; // Prevent key repeat
+        this.keys[key] = true;
+        
+        const now = Date.now();
+        const debounceKey = DEBOUNCED_ACTIONS.includes(this.game.keyBindings().getAction(key));
+        
+        if (debounceKey && this.lastKeyTime[key] &&
+            now - this.lastKeyTime[key] < this.game.CONFIG.KEY_DEBOUNCE_TIME) {
+            return;
+        }
+        
+        this.lastKeyTime[key] = now;
+        this.processKeyInput(e);
+    }
+    
+    handleKeyUp(e) {
+        const key = KeyBindings.normalizeKey(e.key);
+        this.keys[key] = false;
+        
+        // Releases always go through so held actions never get stuck, unless
+        // another key bound to the same action is still down
+        const bindings = this.game.keyBindings();
+        const action = bindings.getAction(key);
+        if (HELD_ACTIONS.includes(action) && !bindings.getKeys(action).some(k => this.keys[k])) {
+            this.game.queueInput(action, false);
+        }
+    }
+    
+    handleBlur() {
+        // Key-up events are lost while unfocused, so drop all held keys
+        this.reset();
+        
+        if (this.game.gameState.gameRunning && !this.game.gameState.gameOver &&
+            !this.game.gameState.gamePaused) {
+            this.game.pauseGame();
+        }
+    }
+    
+    handleFocus() {
+        // Reset inactivity timer when window gains focus
+        this.game.gameState.inactivityTimer = 0;
+    }
+    
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.reset();
+            this.game.saveGame();
+        }
+        
+        if (document.hidden && this.game.gameState.gameRunning && !this.game.gameState.gameOver &&
+            !this.game.gameState.gamePaused) {
+            this.game.pauseGame();
+        }
+    }
+    
+    processKeyInput(e) {
+        try {
+            const action = this.game.keyBindings().getAction(e.key);
+            if (this.handleAction(action)) {
+                e.preventDefault();
+            }
+        } catch (error) {
+            this.game.handleGameError('Input processing error', error);
+        }
+    }
+    
+    // Shared by every input device; returns true when the action was used
+    handleAction(action) {
+        // Muting works in every state, even while paused or after game over
+        if (action === 'mute') {
+            this.game.toggleMute();
+            return true;
+        }
+        
+        if (this.game.isModeMenuOpen()) {
+            return this.game.handleModeMenuAction(action);
+        }
+        
+        // Nothing is in play under the board editor
+        if (this.game.editor) {
+            return false;
+        }
+        
+        if (this.game.isDemoRunning()) {
+            this.game.stopDemo();
+            return true;
+        }
+        
+        // The resume prompt after a reload: pause continues the saved game, restart drops it
+        if (this.game.hasResumeOffer()) {
+            if (action === 'pause') {
+                this.game.resumeSavedGame();
+                return true;
+            }
+            if (action === 'restart') {
+                this.game.discardSavedGame();
+                return true;
+            }
+            return false;
+        }
+        
+        if (this.game.gameState.gameOver) {
+            if (action === 'restart') {
+                this.game.restart();
+                return true;
+            }
+            return false;
+        }
+        
+        // Reset inactivity timer on valid game input
+        if (action) {
+            this.game.gameState.inactivityTimer = 0;
+        }
+        
+        if (this.game.gameState.gamePaused) {
+            if (action === 'pause') {
+                this.game.pauseGame();
+                return true;
+            }
+            return false;
+        }
+        
+        if (!this.game.gameState.gameRunning || !action) {
+            return false;
+        }
+        
+        switch (action) {
+            case 'pause':
+                this.game.pauseGame();
+                break;
+            case 'restart':
+                this.game.restart();
+                break;
+            default:
+                this.game.queueInput(action, true);
+        }
+        return true;
+    }
+    
+    reset() {
+        this.keys = {};
+        this.keyDebounce = {};
+        this.lastKeyTime = {};
+        this.game.resetInputs();
+    }
+    
+    cleanup() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+// Gamepad Input Class
+// Polls the Gamepad API every animation frame and turns button presses and releases
+// into the same actions as the keyboard, so DAS and ARR behave identically
+class GamepadInput {
+    constructor(game, getGamepads = GamepadInput.readGamepads) {
+        this.game = game;
+        this.getGamepads = getGamepads;
+        this.pressed = {};
+        this.padIds = {};
+        this.bindings = {};
+        this.animationId = null;
+        this.eventListeners = [];
+        
+        this.loadBindings();
+    }
+    
+    // Hot-plug events and the polling loop need a browser, so they start separately
+    // from the constructor
+    start() {
+        this.bindEvents();
+        this.startPolling();
+    }
+    
+    static readGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return [];
+        }
+        return Array.from(navigator.getGamepads());
+    }
+    
+    static formatButton(key) {
+        const index = parseInt(key.replace('Button', ''), 10);
+        return GAMEPAD_BUTTON_NAMES[index] || 'Button ' + index;
+    }
+    
+    bindEvents() {
+        this.connectedHandler = () => this.handleConnected();
+        this.disconnectedHandler = (e) => this.handleDisconnected(e.gamepad);
+        
+        window.addEventListener('gamepadconnected', this.connectedHandler);
+        window.addEventListener('gamepaddisconnected', this.disconnectedHandler);
+        
+        this.eventListeners.push(
+            { element: window, event: 'gamepadconnected', handler: this.connectedHandler },
+            { element: window, event: 'gamepaddisconnected', handler: this.disconnectedHandler }
+        );
+    }
+    
+    // The controls screen lists connected controllers, so hot-plugging shows up there
+    handleConnected() {
+        this.startPolling();
+        this.game.controlsMenu.refreshDevices();
+    }
+    
+    handleDisconnected(gamepad) {
+        this.releaseAll(gamepad.index);
+        this.game.controlsMenu.refreshDevices();
+    }
+    
+    getConnected() {
+        return this.getGamepads().filter(pad => pad && pad.connected !== false);
+    }
+    
+    // The game loop polls before simulating so presses land on the current frame; this loop
+    // covers the time it isn't running, such as the game over screen
+    startPolling() {
+        if (this.animationId || this.getConnected().length === 0) return;
+        
+        const loop = () => {
+            this.animationId = null;
+            if (!this.game.isLooping()) {
+                this.update();
+            }
+            if (this.getConnected().length > 0) {
+                this.animationId = requestAnimationFrame(loop);
+            }
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+    
+    update() {
+        try {
+            this.poll();
+        } catch (error) {
+            this.game.handleGameError('Gamepad polling error', error);
+        }
+    }
+    
+    poll() {
+        const seen = {};
+        
+        this.getConnected().forEach(pad => {
+            seen[pad.index] = true;
+            this.padIds[pad.index] = pad.id;
+            
+            const buttons = this.readButtons(pad);
+            const previous = this.pressed[pad.index] || [];
+            this.pressed[pad.index] = buttons;
+            
+            buttons.filter(button => !previous.includes(button))
+                .forEach(button => this.handlePress(pad, button));
+            previous.filter(button => !buttons.includes(button))
+                .forEach(button => this.handleRelease(pad.id, button, buttons));
+        });
+        
+        // Unplugged controllers let go of whatever they were holding
+        Object.keys(this.pressed).forEach(index => {
+            if (!seen[index]) {
+                this.releaseAll(index);
+            }
+        });
+    }
+    
+    readButtons(pad) {
+        const buttons = [];
+        (pad.buttons || []).forEach((button, index) => {
+            const pressed = typeof button === 'object' ? button.pressed : button === 1;
+            if (pressed) {
+                buttons.push('Button' + index);
+            }
+        });
+        
+        // Left, right and down on the left stick; up is left out so a loose stick can't hard drop
+        const [x = 0, y = 0] = pad.axes || [];
+        const stick = [];
+        if (x <= -GAMEPAD_AXIS_THRESHOLD) stick.push('Button14');
+        if (x >= GAMEPAD_AXIS_THRESHOLD) stick.push('Button15');
+        if (y >= GAMEPAD_AXIS_THRESHOLD) stick.push('Button13');
+        stick.forEach(button => {
+            if (!buttons.includes(button)) {
+                buttons.push(button);
+            }
+        });
+        
+        return buttons;
+    }
+    
+    handlePress(pad, button) {
+        if (this.game.controlsMenu.isOpen()) {
+            this.game.controlsMenu.handleGamepadButton(pad.id, button);
+            return;
+        }
+        
+        const action = this.getBindings(pad.id).getAction(button);
+        if (action) {
+            this.game.inputHandler.handleAction(action);
+        }
+    }
+    
+    handleRelease(id, button, stillPressed) {
+        const bindings = this.getBindings(id);
+        const action = bindings.getAction(button);
+        if (HELD_ACTIONS.includes(action) &&
+            !bindings.getKeys(action).some(key => stillPressed.includes(key))) {
+            this.game.queueInput(action, false);
+        }
+    }
+    
+    releaseAll(index) {
+        const buttons = this.pressed[index] || [];
+        delete this.pressed[index];
+        
+        if (this.padIds[index] !== undefined) {
+            buttons.forEach(button => this.handleRelease(this.padIds[index], button, []));
+        }
+    }
+    
+    // Buttons still held after a reset are seen as new presses on the next poll
+    reset() {
+        this.pressed = {};
+    }
+    
+    // Bindings are kept per controller model (Gamepad.id)
+    getBindings(id) {
+        if (!this.bindings[id]) {
+            this.bindings[id] = new KeyBindings(this.stored[id] || DEFAULT_GAMEPAD_BINDINGS);
+        }
+        return this.bindings[id];
+    }
+    
+    loadBindings() {
+        this.stored = {};
+        
+        try {
+            const stored = localStorage.getItem('tetrisGamepadBindings');
+            if (stored === null) return;
+            
+            const data = JSON.parse(stored);
+            const valid = data && data.version === CONTROLS_VERSION &&
+                data.controllers && typeof data.controllers === 'object' &&
+                !Array.isArray(data.controllers) &&
+                Object.keys(data.controllers).length <= MAX_STORED_GAMEPADS &&
+                Object.keys(data.controllers).every(id =>
+                    KeyBindings.validate(data.controllers[id]).length === 0);
+            
+            if (!valid) {
+                console.warn('Invalid gamepad bindings in storage, resetting');
+                localStorage.removeItem('tetrisGamepadBindings');
+                return;
+            }
+            
+            this.stored = data.controllers;
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    commitBindings(id) {
+        // Most recently changed controllers are kept when the limit is reached
+        delete this.stored[id];
+        this.stored[id] = this.getBindings(id).toJSON();
+        
+        const ids = Object.keys(this.stored);
+        ids.slice(0, Math.max(0, ids.length - MAX_STORED_GAMEPADS)).forEach(oldId => {
+            delete this.stored[oldId];
+        });
+        
+        try {
+            localStorage.setItem('tetrisGamepadBindings', JSON.stringify({
+                version: CONTROLS_VERSION,
+                controllers: this.stored
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+// Touch Input Class
+// Canvas gestures (drag to move, tap to rotate, flick to drop or hold) and optional
+// on-screen buttons, both feeding the keyboard's action pipeline
+class TouchInput {
+    constructor(game) {
+        this.game = game;
+        this.canvas = document.getElementById('tetris');
+        this.buttons = document.getElementById('touchControls');
+        this.gesture = null;
+        this.heldButtons = {};
+        this.eventListeners = [];
+        
+        this.loadSettings();
+        this.bindEvents();
+        this.applySettings();
+    }
+    
+    listen(element, event, handler) {
+        if (!element) return;
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+    
+    bindEvents() {
+        this.listen(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(this.canvas, 'pointercancel', () => {
+            this.gesture = null;
+        });
+        
+        if (this.buttons) {
+            Array.from(this.buttons.querySelectorAll('[data-action]')).forEach(button => {
+                const action = button.dataset.action;
+                this.listen(button, 'pointerdown', (e) => {
+                    e.preventDefault();
+                    this.pressButton(e.pointerId, action);
+                });
+                ['pointerup', 'pointercancel', 'pointerleave'].forEach(event => {
+                    this.listen(button, event, (e) => this.releaseButton(e.pointerId));
+                });
+            });
+        }
+        
+        // Overlays cover the buttons, so tapping them resumes or restarts
+        this.listen(document.getElementById('gameOverOverlay'), 'pointerup', (e) => {
+            const onControl = e.target && e.target.closest && e.target.closest('button, form');
+            if (e.pointerType !== 'mouse' && !this.game.isEnteringName() && !onControl) {
+                this.game.inputHandler.handleAction('restart');
+            }
+        });
+        ['pauseOverlay', 'inactivityOverlay'].forEach(id => {
+            this.listen(document.getElementById(id), 'pointerup', (e) => {
+                if (e.pointerType !== 'mouse') this.game.inputHandler.handleAction('pause');
+            });
+        });
+        
+        this.listen(document.getElementById('touchSensitivity'), 'change', (e) => {
+            this.updateSettings({ sensitivity: parseFloat(e.target.value) });
+        });
+        this.listen(document.getElementById('touchButtons'), 'change', (e) => {
+            this.updateSettings({ buttons: e.target.value });
+        });
+    }
+    
+    handlePointerDown(e) {
+        // Mice are left to the keyboard; gestures are for fingers and pens, and the board
+        // editor paints with every pointer
+        if (e.pointerType === 'mouse' || this.game.editor) return;
+        
+        e.preventDefault();
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+        
+        this.gesture = {
+            id: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            anchorX: e.clientX,
+            anchorY: e.clientY,
+            startTime: e.timeStamp,
+            moved: false,
+            samples: [{ y: e.clientY, time: e.timeStamp }]
+        };
+    }
+    
+    // Every cell's worth of drag moves the piece one column, or soft drops one row
+    handlePointerMove(e) {
+        const gesture = this.gesture;
+        if (!gesture || gesture.id !== e.pointerId) return;
+        
+        e.preventDefault();
+        const cell = this.getCellSize();
+        
+        while (Math.abs(e.clientX - gesture.anchorX) >= cell) {
+            const direction = e.clientX > gesture.anchorX ? 1 : -1;
+            gesture.anchorX += direction * cell;
+            gesture.moved = true;
+            this.tap(direction === 1 ? 'moveRight' : 'moveLeft');
+        }
+        
+        while (e.clientY - gesture.anchorY >= cell) {
+            gesture.anchorY += cell;
+            gesture.moved = true;
+            this.tap('softDrop');
+        }
+        
+        gesture.samples.push({ y: e.clientY, time: e.timeStamp });
+        gesture.samples = gesture.samples.filter(sample => e.timeStamp - sample.time <= TOUCH_FLICK_WINDOW);
+    }
+    
+    handlePointerUp(e) {
+        const gesture = this.gesture;
+        if (!gesture || gesture.id !== e.pointerId) return;
+        
+        e.preventDefault();
+        this.gesture = null;
+        
+        const oldest = gesture.samples.find(sample => e.timeStamp - sample.time <= TOUCH_FLICK_WINDOW) ||
+            { y: e.clientY, time: e.timeStamp };
+        const elapsed = Math.max(1, e.timeStamp - oldest.time);
+        const velocity = (e.clientY - oldest.y) / elapsed;
+        const flickVelocity = TOUCH_FLICK_VELOCITY / this.settings.sensitivity;
+        
+        if (velocity >= flickVelocity) {
+            this.tap('hardDrop');
+            return;
+        }
+        if (velocity <= -flickVelocity) {
+            this.tap('hold');
+            return;
+        }
+        
+        const distance = Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY);
+        if (!gesture.moved && distance <= TOUCH_TAP_MAX_DISTANCE &&
+            e.timeStamp - gesture.startTime <= TOUCH_TAP_MAX_TIME) {
+            // Left half rotates counter-clockwise, right half clockwise
+            const rect = this.canvas.getBoundingClientRect();
+            this.tap(e.clientX < rect.left + rect.width / 2 ? 'rotateCCW' : 'rotateCW');
+        }
+    }
+    
+    getCellSize() {
+        const rect = this.canvas.getBoundingClientRect();
+        return rect.width / this.game.CONFIG.BOARD_WIDTH / this.settings.sensitivity;
+    }
+    
+    // A single press and release, so held actions move exactly one step
+    tap(action) {
+        if (this.game.inputHandler.handleAction(action) && HELD_ACTIONS.includes(action)) {
+            this.game.queueInput(action, false);
+        }
+    }
+    
+    // On-screen buttons stay pressed while touched, so moves auto-repeat like held keys
+    pressButton(pointerId, action) {
+        if (this.game.inputHandler.handleAction(action) && HELD_ACTIONS.includes(action)) {
+            this.heldButtons[pointerId] = action;
+        }
+    }
+    
+    releaseButton(pointerId) {
+        const action = this.heldButtons[pointerId];
+        if (!action) return;
+        
+        delete this.heldButtons[pointerId];
+        if (!Object.values(this.heldButtons).includes(action)) {
+            this.game.queueInput(action, false);
+        }
+    }
+    
+    reset() {
+        this.gesture = null;
+        this.heldButtons = {};
+    }
+    
+    loadSettings() {
+        this.settings = {
+            sensitivity: this.game.CONFIG.TOUCH_SENSITIVITY,
+            buttons: this.game.CONFIG.TOUCH_BUTTONS
+        };
+        
+        try {
+            const stored = localStorage.getItem('tetrisTouch');
+            if (stored === null) return;
+            
+            const data = JSON.parse(stored);
+            if (!this.isValidSettings(data)) {
+                console.warn('Invalid touch settings in storage, resetting');
+                localStorage.removeItem('tetrisTouch');
+                return;
+            }
+            
+            this.settings = { sensitivity: data.sensitivity, buttons: data.buttons };
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    isValidSettings(data) {
+        return !!data && data.version === CONTROLS_VERSION &&
+            typeof data.sensitivity === 'number' && data.sensitivity >= 0.25 && data.sensitivity <= 4 &&
+            TOUCH_BUTTON_MODES.includes(data.buttons);
+    }
+    
+    updateSettings(changes) {
+        const settings = { ...this.settings, ...changes, version: CONTROLS_VERSION };
+        if (!this.isValidSettings(settings)) {
+            this.applySettings();
+            return;
+        }
+        
+        this.settings = { sensitivity: settings.sensitivity, buttons: settings.buttons };
+        this.applySettings();
+        
+        try {
+            localStorage.setItem('tetrisTouch', JSON.stringify(settings));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    applySettings() {
+        const sensitivity = document.getElementById('touchSensitivity');
+        if (sensitivity) {
+            sensitivity.value = String(this.settings.sensitivity);
+        }
+        const buttons = document.getElementById('touchButtons');
+        if (buttons) {
+            buttons.value = this.settings.buttons;
+        }
+        
+        if (this.buttons) {
+            this.buttons.style.display = this.showButtons() ? 'grid' : 'none';
+        }
+    }
+    
+    // 'auto' shows the buttons on touch-first devices
+    showButtons() {
+        if (this.settings.buttons !== 'auto') {
+            return this.settings.buttons === 'on';
+        }
+        return typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+    }
+    
+    cleanup() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+// Controls Menu Class
+// Settings screen for rebinding keys and managing controls profiles
+class ControlsMenu {
+    constructor(game) {
+        this.game = game;
+        this.profiles = game.controlsProfiles;
+        this.overlay = document.getElementById('controlsOverlay');
+        this.device = 'keyboard';
+        this.capturing = null;
+        this.pausedGame = false;
+        this.eventListeners = [];
+        
+        if (this.overlay) {
+            this.bindEvents();
+        }
+    }
+    
+    bindEvents() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        bind('openControls', 'click', (e) => {
+            e.target.blur();
+            this.open();
+        });
+        bind('closeControls', 'click', () => this.close());
+        bind('controlsDevice', 'change', (e) => this.selectDevice(e.target.value));
+        bind('controlsProfile', 'change', (e) => this.selectProfile(e.target.value));
+        bind('deleteProfile', 'click', () => this.deleteProfile());
+        bind('saveProfile', 'click', () => {
+            const input = document.getElementById('profileName');
+            this.saveProfile(input ? input.value : '');
+        });
+    }
+    
+    isOpen() {
+        return !!this.overlay && this.overlay.style.display === 'flex';
+    }
+    
+    open() {
+        const { gameRunning, gamePaused, gameOver } = this.game.gameState;
+        if (gameRunning && !gamePaused && !gameOver && !this.game.player) {
+            this.game.pauseGame();
+            this.pausedGame = true;
+        }
+        
+        this.overlay.style.display = 'flex';
+        this.setStatus('');
+        this.render();
+    }
+    
+    close() {
+        this.capturing = null;
+        this.overlay.style.display = 'none';
+        
+        // Only resume a game this screen paused
+        if (this.pausedGame && this.game.gameState.gamePaused) {
+            this.game.pauseGame();
+        }
+        this.pausedGame = false;
+    }
+    
+    // Returns true when the key belonged to this screen rather than the game
+    handleKey(e) {
+        if (!this.isOpen()) return false;
+        
+        // Let text fields receive their typing
+        if (e.target && e.target.tagName === 'INPUT') return true;
+        
+        e.preventDefault();
+        if (this.capturing) {
+            if (e.key === 'Escape') {
+                this.capturing = null;
+                this.setStatus('');
+                this.render();
+            } else if (this.device === 'keyboard') {
+                this.finishCapture(e.key);
+            }
+        } else if (e.key === 'Escape') {
+            this.close();
+        }
+        return true;
+    }
+    
+    // Called by GamepadInput for button presses while this screen is open
+    handleGamepadButton(id, button) {
+        if (this.capturing && this.device === id) {
+            this.finishCapture(button);
+        }
+    }
+    
+    // Bindings being edited: the keyboard profile or the selected controller's mapping
+    getBindings() {
+        return this.device === 'keyboard' ?
+            this.profiles.bindings :
+            this.game.gamepadInput.getBindings(this.device);
+    }
+    
+    formatKey(key) {
+        return this.device === 'keyboard' ?
+            KeyBindings.formatKey(key) :
+            GamepadInput.formatButton(key);
+    }
+    
+    selectDevice(device) {
+        this.device = device;
+        this.capturing = null;
+        this.setStatus('');
+        this.render();
+    }
+    
+    // Keeps the device list current as controllers are plugged in and out
+    refreshDevices() {
+        const ids = this.game.gamepadInput.getConnected().map(pad => pad.id);
+        if (this.device !== 'keyboard' && !ids.includes(this.device)) {
+            this.device = 'keyboard';
+            this.capturing = null;
+        }
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+    
+    startCapture(action) {
+        this.capturing = action;
+        this.setStatus((this.device === 'keyboard' ? 'Press a key' : 'Press a controller button') +
+            ' for ' + ACTION_LABELS[action] + ' (Esc to cancel)');
+        this.render();
+    }
+    
+    finishCapture(key) {
+        const action = this.capturing;
+        this.capturing = null;
+        
+        const conflict = this.getBindings().bind(action, key);
+        const messages = [];
+        if (conflict) {
+            messages.push(this.formatKey(KeyBindings.normalizeKey(key)) +
+                ' moved from ' + ACTION_LABELS[conflict]);
+        }
+        
+        this.commit(messages);
+    }
+    
+    removeKey(action, key) {
+        this.getBindings().unbind(action, key);
+        this.commit([]);
+    }
+    
+    commit(messages) {
+        try {
+            if (this.device === 'keyboard') {
+                this.profiles.commit();
+            } else {
+                this.game.gamepadInput.commitBindings(this.device);
+            }
+        } catch (error) {
+            messages.push(error.message);
+        }
+        
+        const unbound = this.getBindings().getUnbound()
+            .filter(action => action !== 'rotate180' || this.game.CONFIG.ALLOW_180);
+        if (unbound.length > 0) {
+            messages.push('No key for: ' + unbound.map(action => ACTION_LABELS[action]).join(', '));
+        }
+        
+        this.setStatus(messages.join('. '));
+        this.refresh();
+    }
+    
+    selectProfile(name) {
+        try {
+            this.profiles.select(name);
+            this.setStatus('');
+        } catch (error) {
+            this.setStatus(error.message);
+        }
+        this.refresh();
+    }
+    
+    saveProfile(name) {
+        try {
+            this.profiles.saveAs(name);
+            this.setStatus('Saved ' + this.profiles.active);
+        } catch (error) {
+            this.setStatus(error.message);
+        }
+        this.refresh();
+    }
+    
+    deleteProfile() {
+        if (this.profiles.isBuiltIn(this.profiles.active)) {
+            this.setStatus('Built-in profiles can\'t be deleted');
+            return;
+        }
+        
+        this.profiles.remove(this.profiles.active);
+        this.setStatus('');
+        this.refresh();
+    }
+    
+    // Held keys belong to the old bindings, so release them before switching
+    refresh() {
+        this.game.inputHandler.reset();
+        this.game.renderControlsPanel();
+        this.render();
+    }
+    
+    setStatus(text) {
+        this.game.safeUpdateElement('controlsStatus', text);
+    }
+    
+    render() {
+        const devices = document.getElementById('controlsDevice');
+        if (devices) {
+            devices.textContent = '';
+            const names = [['keyboard', 'Keyboard']];
+            this.game.gamepadInput.getConnected().forEach(pad => {
+                if (!names.some(([id]) => id === pad.id)) {
+                    names.push([pad.id, pad.id.slice(0, 40)]);
+                }
+            });
+            names.forEach(([id, name]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                devices.appendChild(option);
+            });
+            devices.value = this.device;
+        }
+        
+        // Profiles only apply to the keyboard
+        const profileRows = document.querySelectorAll('.keyboard-only');
+        Array.from(profileRows).forEach(row => {
+            row.style.display = this.device === 'keyboard' ? '' : 'none';
+        });
+        
+        const select = document.getElementById('controlsProfile');
+        if (select) {
+            select.textContent = '';
+            this.profiles.getNames().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                option.selected = name === this.profiles.active;
+                select.appendChild(option);
+            });
+            select.value = this.profiles.active;
+        }
+        
+        const list = document.getElementById('controlsBindings');
+        if (!list) return;
+        
+        list.textContent = '';
+        this.game.getVisibleActions().forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            
+            const label = document.createElement('span');
+            label.className = 'binding-label';
+            label.textContent = ACTION_LABELS[action];
+            row.appendChild(label);
+            
+            this.getBindings().getKeys(action).forEach(key => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'binding-key';
+                chip.title = 'Remove';
+                chip.textContent = this.formatKey(key);
+                chip.addEventListener('click', () => this.removeKey(action, key));
+                row.appendChild(chip);
+            });
+            
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.className = 'binding-add';
+            add.textContent = this.capturing === action ? 'Press…' : '+';
+            add.addEventListener('click', (e) => {
+                e.target.blur();
+                this.startCapture(action);
+            });
+            row.appendChild(add);
+            
+            list.appendChild(row);
+        });
+    }
+    
+    cleanup() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+// Leaderboard Class
+// Top scores per game mode in localStorage, replacing the old single high score
+class Leaderboard {
+    constructor() {
+        this.securityValidator = new SecurityValidator();
+        this.load();
+    }
+    
+    // m:ss, or m:ss.mmm when precise
+    static formatDuration(ms, precise = false) {
+        const total = Math.round(ms);
+        const seconds = Math.floor(total / 1000);
+        const text = Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+        return precise ? text + '.' + String(total % 1000).padStart(3, '0') : text;
+    }
+    
+    // Whether entry a belongs above entry b; ties keep the earlier game ahead
+    static ranksAbove(a, b, mode) {
+        return GAME_MODES[mode].ranking === 'time' ? a.duration < b.duration : a.score > b.score;
+    }
+    
+    load() {
+        this.entries = [];
+        
+        try {
+            const stored = localStorage.getItem('tetrisLeaderboard');
+            if (stored === null) {
+                this.migrate();
+                return;
+            }
+            
+            const data = JSON.parse(stored);
+            if (!this.isValidStore(data)) {
+                console.warn('Invalid leaderboard in storage, resetting');
+                localStorage.removeItem('tetrisLeaderboard');
+                return;
+            }
+            
+            this.entries = data.entries;
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    // Carries the pre-leaderboard high score over as an unnamed entry
+    migrate() {
+        const stored = localStorage.getItem('tetrisHighScore');
+        if (stored === null) return;
+        
+        localStorage.removeItem('tetrisHighScore');
+        const score = parseInt(stored, 10);
+        if (isNaN(score) || score <= 0 || score > MAX_SCORE) {
+            console.warn('Invalid high score in storage, resetting');
+            return;
+        }
+        
+        this.entries = [{
+            name: LEADERBOARD_UNNAMED,
+            score,
+            lines: 0,
+            level: 1,
+            duration: 0,
+            mode: 'classic',
+            date: null
+        }];
+        this.save();
+    }
+    
+    isValidStore(data) {
+        if (!data || typeof data !== 'object' || data.version !== LEADERBOARD_VERSION ||
+            !Array.isArray(data.entries) || !data.entries.every(entry => this.isValidEntry(entry))) {
+            return false;
+        }
+        
+        // Records are read from the top of each mode's list, so it must be ranked and capped
+        return [...new Set(data.entries.map(entry => entry.mode))].every(mode => {
+            const entries = data.entries.filter(entry => entry.mode === mode);
+            return entries.length <= LEADERBOARD_SIZE &&
+                entries.every((entry, index) => index === 0 || !Leaderboard.ranksAbove(entry, entries[index - 1], mode));
+        });
+    }
+    
+    isValidEntry(entry) {
+        const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+        
+        return !!entry && typeof entry === 'object' &&
+            this.securityValidator.isValidName(entry.name, LEADERBOARD_NAME_LENGTH) &&
+            isCount(entry.score, MAX_SCORE) &&
+            isCount(entry.lines, MAX_SCORE) &&
+            isCount(entry.level, MAX_SCORE) && entry.level >= 1 &&
+            typeof entry.duration === 'number' && entry.duration >= 0 && isFinite(entry.duration) &&
+            Object.keys(GAME_MODES).includes(entry.mode) &&
+            (entry.date === null || (typeof entry.date === 'number' && isFinite(entry.date)));
+    }
+    
+    save() {
+        try {
+            localStorage.setItem('tetrisLeaderboard', JSON.stringify({
+                version: LEADERBOARD_VERSION,
+                entries: this.entries
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    getEntries(mode = 'classic') {
+        return this.entries.filter(entry => entry.mode === mode);
+    }
+    
+    getHighScore(mode = 'classic') {
+        const entries = this.getEntries(mode);
+        return entries.length > 0 ? entries[0].score : 0;
+    }
+    
+    // The mode's record for display: best score, or best time for time-ranked modes
+    formatRecord(mode = 'classic') {
+        if (GAME_MODES[mode].ranking !== 'time') {
+            return this.getHighScore(mode);
+        }
+        const entries = this.getEntries(mode);
+        return entries.length > 0 ? Leaderboard.formatDuration(entries[0].duration, true) : '-';
+    }
+    
+    // Time-ranked modes only list games that reached their goal
+    qualifies({ score, duration, mode = 'classic', result = 'topOut' }) {
+        if (GAME_MODES[mode].ranking === 'time' ? result !== 'complete' : score <= 0) {
+            return false;
+        }
+        
+        const entries = this.getEntries(mode);
+        return entries.length < LEADERBOARD_SIZE ||
+            Leaderboard.ranksAbove({ score, duration }, entries[entries.length - 1], mode);
+    }
+    
+    // Inserts a finished game under a placeholder name; returns the stored entry, or null
+    add({ score, lines, level, duration, mode = 'classic', result = 'topOut' }) {
+        if (!this.qualifies({ score, duration, mode, result })) return null;
+        
+        const entry = {
+            name: LEADERBOARD_UNNAMED,
+            score,
+            lines,
+            level,
+            duration: Math.round(duration),
+            mode,
+            date: Date.now()
+        };
+        if (!this.isValidEntry(entry)) {
+            throw new ValidationError('Invalid leaderboard entry');
+        }
+        
+        const entries = this.getEntries(mode);
+        const index = entries.findIndex(other => Leaderboard.ranksAbove(entry, other, mode));
+        entries.splice(index === -1 ? entries.length : index, 0, entry);
+        
+        this.entries = [
+            ...this.entries.filter(other => other.mode !== mode),
+            ...entries.slice(0, LEADERBOARD_SIZE)
+        ];
+        this.save();
+        return entry;
+    }
+    
+    rename(entry, name) {
+        const sanitized = this.securityValidator.sanitizeString(String(name)).trim().toUpperCase();
+        if (!this.securityValidator.isValidName(sanitized, LEADERBOARD_NAME_LENGTH)) {
+            throw new ValidationError('Initials must be 1-' + LEADERBOARD_NAME_LENGTH + ' characters');
+        }
+        
+        entry.name = sanitized;
+        this.save();
+    }
+}
+
+// Stats History Class
+// The stats of the most recent games in localStorage, oldest first, for charting progress
+class StatsHistory {
+    constructor() {
+        this.load();
+    }
+    
+    load() {
+        this.games = [];
+        
+        try {
+            const stored = localStorage.getItem('tetrisStatsHistory');
+            if (stored === null) return;
+            
+            const data = JSON.parse(stored);
+            if (!this.isValidStore(data)) {
+                console.warn('Invalid stats history in storage, resetting');
+                localStorage.removeItem('tetrisStatsHistory');
+                return;
+            }
+            
+            this.games = data.games;
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    isValidStore(data) {
+        return !!data && typeof data === 'object' && data.version === STATS_VERSION &&
+            Array.isArray(data.games) && data.games.length <= STATS_HISTORY_SIZE &&
+            data.games.every(game => this.isValidGame(game));
+    }
+    
+    isValidGame(game) {
+        const isRate = value => typeof value === 'number' && isFinite(value) && value >= 0;
+        const { pieceMoves, ...counts } = game || {};
+        
+        return !!game && typeof game === 'object' &&
+            typeof game.date === 'number' && isFinite(game.date) &&
+            Object.keys(GAME_MODES).includes(game.mode) &&
+            ['topOut', 'complete', 'timeUp'].includes(game.result) &&
+            Number.isInteger(game.score) && game.score >= 0 && game.score <= MAX_SCORE &&
+            ['time', 'pps', 'lpm', 'apm', 'kpp'].every(name => isRate(game[name])) &&
+            pieceMoves === undefined &&
+            GameStats.validate({ ...counts, pieceMoves: 0 }).length === 0;
+    }
+    
+    save() {
+        try {
+            localStorage.setItem('tetrisStatsHistory', JSON.stringify({
+                version: STATS_VERSION,
+                games: this.games
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    // summary is GameStats.summary(); the oldest game drops off once the history is full
+    add(summary, { mode, result, score }) {
+        const game = { date: Date.now(), mode, result, score, ...summary, time: Math.round(summary.time) };
+        if (!this.isValidGame(game)) {
+            throw new ValidationError('Invalid stats history entry');
+        }
+        
+        this.games = [...this.games, game].slice(-STATS_HISTORY_SIZE);
+        this.save();
+        return game;
+    }
+    
+    getGames(mode) {
+        return mode ? this.games.filter(game => game.mode === mode) : this.games.slice();
+    }
+    
+    serialize() {
+        return JSON.stringify({ version: STATS_VERSION, games: this.games }, null, 2);
+    }
+}
+
+// Puzzle Manager Class
+// The built-in and imported puzzles that fit the board, and how each one has gone
+class PuzzleManager {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.builtIn = PUZZLE_LEVELS.filter(level => PuzzleLevel.validate(level, width, height).length === 0);
+        this.load();
+    }
+    
+    load() {
+        this.custom = [];
+        this.progress = {};
+        
+        try {
+            const stored = localStorage.getItem('tetrisPuzzles');
+            if (stored === null) return;
+            
+            const data = JSON.parse(stored);
+            if (!this.isValidStore(data)) {
+                console.warn('Invalid puzzles in storage, resetting');
+                localStorage.removeItem('tetrisPuzzles');
+                return;
+            }
+            
+            this.custom = data.custom.map(PuzzleLevel.copy);
+            this.progress = data.progress;
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    isValidStore(data) {
+        if (!data || typeof data !== 'object' || data.version !== PUZZLE_VERSION) return false;
+        if (!Array.isArray(data.custom) || data.custom.length > MAX_CUSTOM_PUZZLES) return false;
+        if (!data.custom.every(level => PuzzleLevel.validate(level, this.width, this.height).length === 0 &&
+                                        !this.isBuiltIn(level.id))) {
+            return false;
+        }
+        if (new Set(data.custom.map(level => level.id)).size !== data.custom.length) return false;
+        
+        return !!data.progress && typeof data.progress === 'object' && !Array.isArray(data.progress) &&
+            Object.keys(data.progress).every(id => /^[a-z0-9-]{1,40}$/.test(id) && this.isValidProgress(data.progress[id]));
+    }
+    
+    isValidProgress(entry) {
+        return !!entry && typeof entry === 'object' &&
+            Number.isInteger(entry.attempts) && entry.attempts >= 1 && entry.attempts <= MAX_SCORE &&
+            typeof entry.solved === 'boolean' &&
+            (entry.best === null || (Number.isInteger(entry.best) && entry.best >= 1 && entry.best <= PUZZLE_MAX_PIECES + 1)) &&
+            entry.solved === (entry.best !== null);
+    }
+    
+    save() {
+        try {
+            localStorage.setItem('tetrisPuzzles', JSON.stringify({
+                version: PUZZLE_VERSION,
+                custom: this.custom,
+                progress: this.progress
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    getLevels() {
+        return [...this.builtIn, ...this.custom];
+    }
+    
+    getLevel(id) {
+        return this.getLevels().find(level => level.id === id) || null;
+    }
+    
+    isBuiltIn(id) {
+        return this.builtIn.some(level => level.id === id);
+    }
+    
+    // The puzzle after id in the list, or null after the last one
+    getNext(id) {
+        const levels = this.getLevels();
+        const index = levels.findIndex(level => level.id === id);
+        return index >= 0 && index < levels.length - 1 ? levels[index + 1] : null;
+    }
+    
+    // Imported ids can match Object.prototype names such as "constructor"
+    getProgress(id) {
+        return Object.prototype.hasOwnProperty.call(this.progress, id) ? this.progress[id] :
+            { attempts: 0, solved: false, best: null };
+    }
+    
+    formatProgress() {
+        const levels = this.getLevels();
+        return levels.filter(level => this.getProgress(level.id).solved).length + ' / ' + levels.length;
+    }
+    
+    // A finished attempt; best is the fewest pieces a solve has taken
+    record(id, solved, pieces) {
+        const previous = this.getProgress(id);
+        const best = solved && (previous.best === null || pieces < previous.best) ? pieces : previous.best;
+        const entry = { attempts: previous.attempts + 1, solved: previous.solved || solved, best };
+        if (!this.isValidProgress(entry)) {
+            throw new ValidationError('Invalid puzzle result');
+        }
+        
+        this.progress = { ...this.progress, [id]: entry };
+        this.save();
+        return entry;
+    }
+    
+    // Adds the puzzles of an imported file, replacing imported ones with the same id; returns them
+    import(text) {
+        const levels = PuzzleLevel.parse(text, this.width, this.height);
+        
+        const builtIn = levels.find(level => this.isBuiltIn(level.id));
+        if (builtIn) {
+            throw new ValidationError('Puzzle id ' + builtIn.id + ' belongs to a built-in puzzle');
+        }
+        
+        const ids = levels.map(level => level.id);
+        const custom = [...this.custom.filter(level => !ids.includes(level.id)), ...levels];
+        if (custom.length > MAX_CUSTOM_PUZZLES) {
+            throw new ValidationError('At most ' + MAX_CUSTOM_PUZZLES + ' puzzles can be imported');
+        }
+        
+        this.custom = custom;
+        this.save();
+        return levels;
+    }
+}
+
+// Sound Manager Class
+// Synthesizes effects and music with WebAudio; without an AudioContext every method does nothing
+class SoundManager {
+    constructor(defaults = {}) {
+        this.defaults = {
+            volume: defaults.volume !== undefined ? defaults.volume : 0.7,
+            muted: false,
+            music: defaults.music !== undefined ? defaults.music : true
+        };
+        this.context = null;
+        this.unavailable = SoundManager.getContextClass() === null;
+        this.lastPlayed = {};
+        this.musicRequested = false;
+        this.musicTimer = null;
+        this.tempo = MUSIC_BASE_TEMPO;
+        this.eventListeners = [];
+        
+        this.loadSettings();
+        this.bindEvents();
+    }
+    
+    static getContextClass() {
+        if (typeof window === 'undefined') return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+    
+    static midiToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+    
+    // Browsers only start audio from a user gesture, so the context is created on the first one
+    bindEvents() {
+        if (this.unavailable || typeof document === 'undefined') return;
+        
+        const handler = () => this.unlock();
+        ['keydown', 'pointerdown'].forEach(event => {
+            document.addEventListener(event, handler);
+            this.eventListeners.push({ element: document, event, handler });
+        });
+    }
+    
+    unlock() {
+        const context = this.getContext();
+        if (!context) return;
+        
+        if (context.state === 'suspended') {
+            Promise.resolve(context.resume())
+                .then(() => this.updateMusic())
+                .catch(error => console.warn('Audio resume failed:', error));
+        } else {
+            this.updateMusic();
+        }
+    }
+    
+    getContext() {
+        if (this.context || this.unavailable) {
+            return this.context;
+        }
+        
+        try {
+            const ContextClass = SoundManager.getContextClass();
+            const context = new ContextClass();
+            
+            this.masterGain = context.createGain();
+            this.masterGain.connect(context.destination);
+            this.effectsGain = context.createGain();
+            this.effectsGain.connect(this.masterGain);
+            this.musicGain = context.createGain();
+            this.musicGain.gain.value = 0.4;
+            this.musicGain.connect(this.masterGain);
+            
+            this.context = context;
+            this.applySettings();
+        } catch (error) {
+            console.warn('Audio unavailable:', error);
+            this.unavailable = true;
+        }
+        return this.context;
+    }
+    
+    isRunning() {
+        return !!this.context && this.context.state === 'running';
+    }
+    
+    play(name) {
+        const tones = SOUND_EFFECTS[name];
+        if (!tones || !this.isRunning() || this.settings.muted) return;
+        
+        // Instant auto-repeat can move several cells in one frame; one blip is enough
+        const now = this.context.currentTime;
+        if (this.lastPlayed[name] !== undefined && now - this.lastPlayed[name] < MIN_SOUND_INTERVAL) return;
+        this.lastPlayed[name] = now;
+        
+        try {
+            tones.forEach(tone => this.playTone(tone, now + (tone.delay || 0), this.effectsGain));
+        } catch (error) {
+            console.warn('Sound playback error:', error);
+        }
+    }
+    
+    playTone({ wave, frequency, endFrequency, duration, volume }, start, destination) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+        }
+        
+        // A short attack and exponential release keep the tones from clicking
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.02);
+    }
+    
+    setLevel(level) {
+        this.tempo = Math.min(MUSIC_MAX_TEMPO, MUSIC_BASE_TEMPO + (level - 1) * MUSIC_TEMPO_STEP);
+    }
+    
+    setMusicPlaying(playing) {
+        this.musicRequested = playing;
+        this.updateMusic();
+    }
+    
+    // Music runs while the game asks for it, the player has it enabled and audio is unlocked
+    updateMusic() {
+        const shouldPlay = this.musicRequested && this.settings.music && this.isRunning();
+        
+        if (shouldPlay && !this.musicTimer) {
+            this.musicStep = 0;
+            this.nextNoteTime = this.context.currentTime + 0.05;
+            this.musicTimer = setInterval(() => this.scheduleMusic(), MUSIC_SCHEDULE_INTERVAL);
+        } else if (!shouldPlay && this.musicTimer) {
+            clearInterval(this.musicTimer);
+            this.musicTimer = null;
+        }
+    }
+    
+    // Schedules eighth notes slightly ahead of the audio clock so timer jitter isn't audible
+    scheduleMusic() {
+        try {
+            const now = this.context.currentTime;
+            const stepLength = 60 / this.tempo / 2;
+            
+            // Background tabs throttle timers; skip the notes that were missed
+            if (this.nextNoteTime < now) {
+                this.nextNoteTime = now;
+            }
+            
+            while (this.nextNoteTime < now + MUSIC_LOOKAHEAD) {
+                const chord = MUSIC_PROGRESSION[Math.floor(this.musicStep / 8) % MUSIC_PROGRESSION.length];
+                
+                if (this.musicStep % 4 === 0) {
+                    this.playTone({
+                        wave: 'triangle',
+                        frequency: SoundManager.midiToFrequency(chord[0]),
+                        duration: stepLength * 3.5,
+                        volume: 0.5
+                    }, this.nextNoteTime, this.musicGain);
+                }
+                
+                // The melody picks random chord tones, now and then an octave up, with a few rests
+                if (Math.random() < 0.85) {
+                    const note = chord[1 + Math.floor(Math.random() * (chord.length - 1))] +
+                        (Math.random() < 0.25 ? 12 : 0);
+                    this.playTone({
+                        wave: 'square',
+                        frequency: SoundManager.midiToFrequency(note),
+                        duration: stepLength * 0.9,
+                        volume: 0.12
+                    }, this.nextNoteTime, this.musicGain);
+                }
+                
+                this.nextNoteTime += stepLength;
+                this.musicStep++;
+            }
+        } catch (error) {
+            console.warn('Music playback error:', error);
+            this.setMusicPlaying(false);
+        }
+    }
+    
+    loadSettings() {
+        this.settings = { ...this.defaults };
+        
+        try {
+            const stored = localStorage.getItem('tetrisAudio');
+            if (stored === null) return;
+            
+            const data = JSON.parse(stored);
+            if (!this.isValidSettings(data)) {
+                console.warn('Invalid audio settings in storage, resetting');
+                localStorage.removeItem('tetrisAudio');
+                return;
+            }
+            
+            this.settings = { volume: data.volume, muted: data.muted, music: data.music };
+        } catch (error) {
+            console.error('LocalStorage read error:', error);
+        }
+    }
+    
+    isValidSettings(data) {
+        return !!data && data.version === AUDIO_VERSION &&
+            typeof data.volume === 'number' && data.volume >= 0 && data.volume <= 1 &&
+            typeof data.muted === 'boolean' && typeof data.music === 'boolean';
+    }
+    
+    updateSettings(changes) {
+        const settings = { ...this.settings, ...changes, version: AUDIO_VERSION };
+        if (!this.isValidSettings(settings)) return;
+        
+        this.settings = { volume: settings.volume, muted: settings.muted, music: settings.music };
+        this.applySettings();
+        
+        try {
+            localStorage.setItem('tetrisAudio', JSON.stringify(settings));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    applySettings() {
+        if (this.context) {
+            this.masterGain.gain.value = this.settings.muted ? 0 : this.settings.volume;
+        }
+        this.updateMusic();
+    }
+    
+    toggleMute() {
+        this.updateSettings({ muted: !this.settings.muted });
+    }
+    
+    setVolume(volume) {
+        this.updateSettings({ volume, muted: false });
+    }
+    
+    setMusicEnabled(enabled) {
+        this.updateSettings({ music: enabled });
+    }
+    
+    cleanup() {
+        this.setMusicPlaying(false);
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+        
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+}
+
+// Versus Game Class
+// Browser adapter for a local two-player match: both boards, one shared keyboard and the
+// result screen. The single-player game is stopped and hidden while it runs
+class VersusGame {
+    constructor(game) {
+        this.game = game;
+        this.CONFIG = game.CONFIG;
+        this.wins = [0, 0];
+        this.match = null;
+        this.paused = false;
+        this.pendingInputs = [[], []];
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.animationId = null;
+        this.keys = {};
+        this.eventListeners = [];
+        
+        this.bindings = VERSUS_BINDINGS.map(bindings => new KeyBindings(bindings));
+        this.sharedBindings = new KeyBindings(VERSUS_SHARED_BINDINGS);
+        
+        this.renderers = [1, 2].map(number => new CanvasRenderer(null, this.CONFIG, {
+            board: 'tetris' + number,
+            next: 'next' + number,
+            nextPanel: 'nextPanel' + number,
+            hold: 'hold' + number
+        }));
+        this.renderers.forEach(renderer => {
+            renderer.setTheme(game.themes.getTheme());
+            renderer.initialize();
+        });
+        
+        this.bindEvents();
+        this.startMatch();
+    }
+    
+    listen(element, event, handler) {
+        if (!element) return;
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+    
+    bindEvents() {
+        this.listen(document, 'keydown', (e) => this.handleKeyDown(e));
+        this.listen(document, 'keyup', (e) => this.handleKeyUp(e));
+        this.listen(window, 'blur', () => this.handleBlur());
+        this.listen(document.getElementById('versusRematch'), 'click', (e) => {
+            e.target.blur();
+            this.startMatch();
+        });
+        this.listen(document.getElementById('versusExit'), 'click', () => this.game.exitVersus());
+    }
+    
+    bindEngineEvents(engine) {
+        engine.on('hardDrop', () => {
+            this.game.soundManager.play('hardDrop');
+        });
+        
+        engine.on('lock', () => {
+            this.game.soundManager.play('lock');
+            this.updateDisplay();
+        });
+        
+        engine.on('clear', ({ linesCleared }) => {
+            if (linesCleared > 0) {
+                this.game.soundManager.play('clear' + Math.min(linesCleared, 4));
+                this.updateDisplay();
+            }
+        });
+        
+        engine.on('garbage', () => {
+            this.game.soundManager.play('garbage');
+        });
+        
+        engine.on('error', ({ context, error }) => {
+            this.game.handleGameError(context, error);
+        });
+    }
+    
+    // A rematch keeps the win count and deals a new piece sequence
+    startMatch() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.match = new VersusMatch({ ...this.game.engineConfig('classic'), seed: SeededRandom.createSeed() });
+        this.match.players.forEach((engine, index) => {
+            this.renderers[index].engine = engine;
+            this.bindEngineEvents(engine);
+        });
+        this.match.on('attack', () => this.updateDisplay());
+        this.match.on('end', (result) => this.endMatch(result));
+        
+        this.pendingInputs = [[], []];
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.paused = false;
+        this.game.hideOverlay('versusOverlay');
+        
+        this.match.start();
+        this.game.soundManager.setLevel(1);
+        this.game.soundManager.setMusicPlaying(true);
+        this.updateDisplay();
+        this.loop();
+    }
+    
+    loop(time) {
+        try {
+            let deltaTime = 0;
+            if (time !== undefined && this.lastTime !== null) {
+                deltaTime = time - this.lastTime;
+            }
+            this.lastTime = time === undefined ? null : time;
+            
+            if (!this.paused && !this.match.result) {
+                this.accumulator += Math.min(deltaTime, MAX_CATCH_UP_FRAMES * TICK_DURATION);
+                while (this.accumulator + TIME_EPSILON >= TICK_DURATION && !this.match.result) {
+                    this.accumulator -= TICK_DURATION;
+                    const inputs = this.pendingInputs;
+                    this.pendingInputs = [[], []];
+                    this.match.tick(inputs);
+                }
+            }
+            
+            const alpha = this.paused || this.match.result ? 1 : this.accumulator / TICK_DURATION;
+            this.renderers.forEach(renderer => renderer.render(alpha));
+        } catch (error) {
+            this.game.handleGameError('Versus loop error', error);
+        }
+        
+        // The finished boards stay on screen behind the result
+        if (this.match.result) {
+            this.animationId = null;
+            return;
+        }
+        this.animationId = requestAnimationFrame(this.loop.bind(this));
+    }
+    
+    updateDisplay() {
+        this.match.players.forEach((engine, index) => {
+            const number = index + 1;
+            const incoming = this.match.getIncoming(index);
+            this.game.safeUpdateElement('score' + number, engine.state.score);
+            this.game.safeUpdateElement('lines' + number, engine.state.lines);
+            this.game.safeUpdateElement('wins' + number, this.wins[index]);
+            this.game.safeUpdateElement('incoming' + number, incoming);
+            
+            const meter = document.getElementById('incomingMeter' + number);
+            if (meter) {
+                meter.style.height = Math.min(100, incoming / engine.CONFIG.BOARD_HEIGHT * 100) + '%';
+            }
+        });
+    }
+    
+    showOverlay(title, details) {
+        this.game.safeUpdateElement('versusTitle', title);
+        this.game.safeUpdateElement('versusDetails', details);
+        const overlay = document.getElementById('versusOverlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+        }
+    }
+    
+    togglePause() {
+        if (this.match.result) return;
+        
+        this.paused = !this.paused;
+        this.game.soundManager.setMusicPlaying(!this.paused);
+        this.releaseHeldKeys();
+        
+        if (this.paused) {
+            this.showOverlay('Paused', 'Press P to resume or R to restart the match');
+        } else {
+            this.game.hideOverlay('versusOverlay');
+            this.accumulator = 0;
+            this.lastTime = null;
+        }
+    }
+    
+    endMatch({ winner }) {
+        if (winner !== null) {
+            this.wins[winner]++;
+        }
+        
+        this.game.soundManager.setMusicPlaying(false);
+        this.game.soundManager.play('complete');
+        this.updateDisplay();
+        this.showOverlay(winner === null ? 'Draw!' : 'Player ' + (winner + 1) + ' Wins!',
+            'Match score ' + this.wins[0] + ' - ' + this.wins[1] + ' · Press R for a rematch');
+    }
+    
+    handleKeyDown(e) {
+        // Text fields keep their typing
+        if (e.target && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+            return;
+        }
+        
+        const key = KeyBindings.normalizeKey(e.key);
+        if (this.keys[key]) return; // Prevent key repeat
+        this.keys[key] = true;
+        
+        try {
+            if (this.handleKey(key)) {
+                e.preventDefault();
+            }
+        } catch (error) {
+            this.game.handleGameError('Input processing error', error);
+        }
+    }
+    
+    // Returns true when the key was used
+    handleKey(key) {
+        const shared = this.sharedBindings.getAction(key);
+        if (shared === 'mute') {
+            this.game.toggleMute();
+            return true;
+        }
+        if (shared === 'pause') {
+            this.togglePause();
+            return true;
+        }
+        if (shared === 'restart') {
+            // Only between games or while paused, so a stray key can't end a match
+            if (this.paused || this.match.result) {
+                this.startMatch();
+            }
+            return true;
+        }
+        
+        if (this.paused || this.match.result) return false;
+        
+        const player = this.bindings.findIndex(bindings => bindings.getAction(key) !== null);
+        if (player === -1) return false;
+        
+        this.pendingInputs[player].push({ action: this.bindings[player].getAction(key), down: true });
+        return true;
+    }
+    
+    handleKeyUp(e) {
+        const key = KeyBindings.normalizeKey(e.key);
+        this.keys[key] = false;
+        
+        // Released unless another key bound to the same action is still down
+        this.bindings.forEach((bindings, player) => {
+            const action = bindings.getAction(key);
+            if (HELD_ACTIONS.includes(action) && !bindings.getKeys(action).some(k => this.keys[k])) {
+                this.pendingInputs[player].push({ action, down: false });
+            }
+        });
+    }
+    
+    // Key-up events are lost while unfocused, so everything is released and the match pauses
+    handleBlur() {
+        this.releaseHeldKeys();
+        if (!this.paused && !this.match.result) {
+            this.togglePause();
+        }
+    }
+    
+    releaseHeldKeys() {
+        this.keys = {};
+        this.pendingInputs.forEach(inputs => {
+            HELD_ACTIONS.forEach(action => inputs.push({ action, down: false }));
+        });
+    }
+    
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+        
+        this.game.soundManager.setMusicPlaying(false);
+        this.game.hideOverlay('versusOverlay');
+    }
+}
+
+// Online Versus Game Class
+// Browser adapter for a match against a remote player. Each side runs its own engine and
+// tells the other about its board, attacks and top-out through the relay server
+class OnlineVersusGame {
+    constructor(game) {
+        this.game = game;
+        this.CONFIG = game.CONFIG;
+        this.socket = null;
+        this.room = null;
+        this.player = null;
+        this.phase = 'setup'; // setup, waiting, playing or over
+        this.wins = [0, 0]; // you, opponent
+        this.engine = null;
+        this.incoming = new GarbageQueue();
+        this.rng = null;
+        this.opponent = null;
+        this.opponentRenderer = null;
+        this.boardChanged = false;
+        this.pendingInputs = [];
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.animationId = null;
+        this.keys = {};
+        this.eventListeners = [];
+        
+        this.renderer = new CanvasRenderer(null, this.CONFIG, {
+            board: 'tetrisOnline',
+            next: 'nextOnline',
+            nextPanel: 'nextPanelOnline',
+            hold: 'holdOnline'
+        });
+        this.renderer.setTheme(game.themes.getTheme());
+        this.renderer.initialize();
+        
+        const serverUrl = document.getElementById('serverUrl');
+        if (serverUrl && !serverUrl.value) {
+            serverUrl.value = OnlineVersusGame.defaultServerUrl();
+        }
+        
+        this.bindEvents();
+        this.updateDisplay();
+        this.showOverlay('Online Versus', 'Create a room and share its code, or enter a code to join one');
+    }
+    
+    // The relay server also serves the game, so a served page connects back to its own host
+    static defaultServerUrl() {
+        const { protocol, host } = window.location;
+        if (protocol === 'http:' || protocol === 'https:') {
+            return (protocol === 'https:' ? 'wss://' : 'ws://') + host;
+        }
+        return 'ws://localhost:8080';
+    }
+    
+    listen(element, event, handler) {
+        if (!element) return;
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+    
+    bindEvents() {
+        this.listen(document, 'keydown', (e) => this.handleKeyDown(e));
+        this.listen(document, 'keyup', (e) => this.handleKeyUp(e));
+        this.listen(window, 'blur', () => this.releaseHeldKeys());
+        this.listen(document.getElementById('onlineForm'), 'submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('roomCode');
+            this.connect(input ? input.value : '');
+        });
+        this.listen(document.getElementById('createRoom'), 'click', (e) => {
+            e.target.blur();
+            this.connect('');
+        });
+        this.listen(document.getElementById('onlineRematch'), 'click', (e) => {
+            e.target.blur();
+            this.requestRematch();
+        });
+        this.listen(document.getElementById('onlineLeave'), 'click', () => this.game.exitOnline());
+    }
+    
+    bindEngineEvents(engine) {
+        engine.on('hardDrop', () => {
+            this.game.soundManager.play('hardDrop');
+        });
+        
+        engine.on('lock', () => {
+            this.game.soundManager.play('lock');
+            this.boardChanged = true;
+            this.updateDisplay();
+        });
+        
+        engine.on('clear', (clear) => {
+            if (clear.linesCleared > 0) {
+                this.game.soundManager.play('clear' + Math.min(clear.linesCleared, 4));
+            }
+            this.handleClear(clear);
+            this.boardChanged = true;
+            this.updateDisplay();
+        });
+        
+        engine.on('garbage', () => {
+            this.game.soundManager.play('garbage');
+            this.boardChanged = true;
+        });
+        
+        engine.on('gameOver', () => {
+            this.send('topOut');
+            this.endMatch(false);
+        });
+        
+        engine.on('error', ({ context, error }) => {
+            this.game.handleGameError(context, error);
+        });
+    }
+    
+    // An empty code asks the server for a new room
+    connect(code) {
+        if (this.socket) return;
+        
+        const room = String(code).trim().toUpperCase();
+        if (room && !ROOM_CODE_PATTERN.test(room)) {
+            this.setStatus('Room codes are 4 letters');
+            return;
+        }
+        
+        const input = document.getElementById('serverUrl');
+        const url = input && input.value.trim() ? input.value.trim() : OnlineVersusGame.defaultServerUrl();
+        
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            this.setStatus('Could not connect: ' + error.message);
+            return;
+        }
+        
+        this.socket = socket;
+        this.phase = 'waiting';
+        this.setFormVisible(false);
+        this.setStatus('Connecting to ' + url + '...');
+        
+        socket.addEventListener('open', () => {
+            this.send('join', room ? { room } : {});
+        });
+        socket.addEventListener('message', (event) => this.handleMessage(event.data));
+        socket.addEventListener('close', () => this.handleDisconnect(socket));
+    }
+    
+    send(type, data) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(NetworkProtocol.encode(type, data));
+        }
+    }
+    
+    handleMessage(text) {
+        let message;
+        try {
+            message = NetworkProtocol.parse(text);
+        } catch (error) {
+            console.warn('Ignoring invalid message from server:', error.message);
+            return;
+        }
+        
+        try {
+            switch (message.type) {
+                case 'joined':
+                    this.room = message.room;
+                    this.player = message.player;
+                    this.showOverlay('Room ' + message.room, 'Waiting for an opponent. Share the room code ' +
+                        message.room + ' with them');
+                    break;
+                case 'start':
+                    this.startMatch(message.seed);
+                    break;
+                case 'board':
+                    this.opponent = message;
+                    this.renderOpponent();
+                    this.updateDisplay();
+                    break;
+                case 'attack':
+                    if (this.phase === 'playing') {
+                        this.incoming.add(message.rows, message.hole % this.engine.CONFIG.BOARD_WIDTH);
+                        this.updateDisplay();
+                    }
+                    break;
+                case 'topOut':
+                    this.endMatch(true);
+                    break;
+                case 'left':
+                    this.handleOpponentLeft();
+                    break;
+                case 'error':
+                    // Before joining, an error (such as an unknown room) returns to the form
+                    if (this.room) {
+                        this.setStatus(message.message);
+                    } else {
+                        this.disconnect();
+                        this.phase = 'setup';
+                        this.showOverlay('Online Versus', message.message);
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.game.handleGameError('Online message error', error);
+        }
+    }
+    
+    // Both sides get the same seed, so the piece sequences match like in local versus
+    startMatch(seed) {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.engine = new TetrisEngine({ ...this.game.engineConfig('classic'), seed });
+        this.renderer.engine = this.engine;
+        this.bindEngineEvents(this.engine);
+        this.incoming = new GarbageQueue();
+        // Holes differ per player so the two sides don't send the same garbage
+        this.rng = new SeededRandom((seed ^ (this.player + 1) * 0x9E3779B9) >>> 0);
+        this.opponent = null;
+        
+        this.phase = 'playing';
+        this.pendingInputs = [];
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.keys = {};
+        this.game.hideOverlay('onlineOverlay');
+        
+        this.engine.start();
+        this.boardChanged = true;
+        this.renderOpponent();
+        this.game.soundManager.setLevel(1);
+        this.game.soundManager.setMusicPlaying(true);
+        this.updateDisplay();
+        this.loop();
+    }
+    
+    // Same rules as VersusMatch: attacks cancel incoming garbage first, and garbage
+    // rises on the next lock that clears nothing
+    handleClear(clear) {
+        if (this.phase !== 'playing') return;
+        
+        if (clear.linesCleared === 0) {
+            this.incoming.insertInto(this.engine);
+            return;
+        }
+        
+        const rows = Math.min(this.incoming.cancel(VersusMatch.attack(clear)), MAX_ATTACK_ROWS);
+        if (rows > 0) {
+            this.send('attack', { rows, hole: Math.floor(this.rng.next() * this.engine.CONFIG.BOARD_WIDTH) });
+        }
+    }
+    
+    loop(time) {
+        try {
+            let deltaTime = 0;
+            if (time !== undefined && this.lastTime !== null) {
+                deltaTime = time - this.lastTime;
+            }
+            this.lastTime = time === undefined ? null : time;
+            
+            // There is no pausing online: the opponent's game keeps going
+            this.accumulator += Math.min(deltaTime, MAX_CATCH_UP_FRAMES * TICK_DURATION);
+            while (this.accumulator + TIME_EPSILON >= TICK_DURATION && this.phase === 'playing') {
+                this.accumulator -= TICK_DURATION;
+                const inputs = this.pendingInputs;
+                this.pendingInputs = [];
+                this.engine.tick(inputs);
+            }
+            
+            // At most one board update per frame, and only when it changed
+            if (this.boardChanged && this.phase === 'playing') {
+                this.boardChanged = false;
+                this.send('board', {
+                    board: NetworkProtocol.encodeBoard(this.engine.state.board),
+                    width: this.engine.CONFIG.BOARD_WIDTH,
+                    height: this.engine.CONFIG.BOARD_HEIGHT,
+                    score: Math.min(this.engine.state.score, MAX_SCORE),
+                    lines: Math.min(this.engine.state.lines, MAX_SCORE)
+                });
+            }
+            
+            this.renderer.render(this.phase === 'playing' ? this.accumulator / TICK_DURATION : 1);
+        } catch (error) {
+            this.game.handleGameError('Online loop error', error);
+        }
+        
+        if (this.phase !== 'playing') {
+            this.animationId = null;
+            return;
+        }
+        this.animationId = requestAnimationFrame(this.loop.bind(this));
+    }
+    
+    renderOpponent() {
+        const canvas = document.getElementById('opponentBoard');
+        if (!canvas) return;
+        
+        const width = this.opponent ? this.opponent.width : this.CONFIG.BOARD_WIDTH;
+        const height = this.opponent ? this.opponent.height : this.CONFIG.BOARD_HEIGHT;
+        const board = this.opponent ?
+            NetworkProtocol.decodeBoard(this.opponent.board, width, height) :
+            Array.from({ length: height }, () => Array(width).fill(0));
+        
+        // The renderer follows the opponent's board size, which may differ from ours
+        const current = this.opponentRenderer && this.opponentRenderer.CONFIG;
+        if (!current || current.BOARD_WIDTH !== width || current.BOARD_HEIGHT !== height) {
+            canvas.width = width * MINI_BLOCK_SIZE;
+            canvas.height = height * MINI_BLOCK_SIZE;
+            this.opponentRenderer = new CanvasRenderer(null, {
+                ...this.CONFIG,
+                BOARD_WIDTH: width,
+                BOARD_HEIGHT: height,
+                BLOCK_SIZE: MINI_BLOCK_SIZE,
+                PREVIEW_COUNT: 0
+            }, { board: 'opponentBoard', next: null, nextPanel: null, hold: null });
+            this.opponentRenderer.setTheme(this.game.themes.getTheme());
+            this.opponentRenderer.initialize();
+        }
+        
+        this.opponentRenderer.renderBoard(board);
+    }
+    
+    updateDisplay() {
+        const state = this.engine ? this.engine.state : { score: 0, lines: 0 };
+        const incoming = this.incoming.total();
+        this.game.safeUpdateElement('scoreOnline', state.score);
+        this.game.safeUpdateElement('linesOnline', state.lines);
+        this.game.safeUpdateElement('incomingOnline', incoming);
+        this.game.safeUpdateElement('winsOnline', this.wins[0] + ' - ' + this.wins[1]);
+        this.game.safeUpdateElement('opponentScore', this.opponent ? this.opponent.score : 0);
+        this.game.safeUpdateElement('opponentLines', this.opponent ? this.opponent.lines : 0);
+        this.game.safeUpdateElement('roomName', this.room || '-');
+        
+        const meter = document.getElementById('incomingMeterOnline');
+        if (meter) {
+            meter.style.height = Math.min(100, incoming / this.CONFIG.BOARD_HEIGHT * 100) + '%';
+        }
+    }
+    
+    showOverlay(title, status) {
+        this.game.safeUpdateElement('onlineTitle', title);
+        this.setStatus(status);
+        this.setFormVisible(this.phase === 'setup');
+        
+        const rematch = document.getElementById('onlineRematch');
+        if (rematch) {
+            rematch.style.display = this.phase === 'over' ? '' : 'none';
+        }
+        
+        const overlay = document.getElementById('onlineOverlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+        }
+    }
+    
+    setStatus(text) {
+        this.game.safeUpdateElement('onlineStatus', text);
+    }
+    
+    setFormVisible(visible) {
+        const form = document.getElementById('onlineForm');
+        if (form) {
+            form.style.display = visible ? '' : 'none';
+        }
+    }
+    
+    // Both players topping out at once each see their own loss first; the later message is ignored
+    endMatch(won) {
+        if (this.phase !== 'playing') return;
+        
+        this.phase = 'over';
+        this.wins[won ? 0 : 1]++;
+        this.releaseHeldKeys();
+        this.game.soundManager.setMusicPlaying(false);
+        this.game.soundManager.play(won ? 'complete' : 'gameOver');
+        this.updateDisplay();
+        this.showOverlay(won ? 'You Win!' : 'You Lose',
+            'Match score ' + this.wins[0] + ' - ' + this.wins[1] + ' · Press R for a rematch');
+    }
+    
+    // Leaving mid-match forfeits it. The room stays open, and whoever joins it next starts a new match
+    handleOpponentLeft() {
+        const forfeit = this.phase === 'playing';
+        if (forfeit) {
+            this.endMatch(true);
+        }
+        
+        this.phase = 'waiting';
+        this.showOverlay(forfeit ? 'You Win!' : 'Opponent Left',
+            'Your opponent left. Share the room code ' + this.room + ' to play someone else');
+    }
+    
+    requestRematch() {
+        if (this.phase !== 'over') return;
+        
+        this.send('rematch');
+        this.setStatus('Waiting for your opponent to accept the rematch...');
+    }
+    
+    // Closing our own socket first means its close event is ignored
+    disconnect() {
+        if (!this.socket) return;
+        
+        const socket = this.socket;
+        this.socket = null;
+        this.room = null;
+        socket.close();
+    }
+    
+    handleDisconnect(socket) {
+        if (socket !== this.socket) return;
+        
+        this.socket = null;
+        this.room = null;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.phase = 'setup';
+        this.releaseHeldKeys();
+        this.game.soundManager.setMusicPlaying(false);
+        this.updateDisplay();
+        this.showOverlay('Disconnected', 'The connection to the server was lost. Connect again to play');
+    }
+    
+    handleKeyDown(e) {
+        // The room code and server fields keep their typing
+        if (e.target && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+            return;
+        }
+        
+        const key = KeyBindings.normalizeKey(e.key);
+        if (this.keys[key]) return; // Prevent key repeat
+        this.keys[key] = true;
+        
+        try {
+            const action = this.game.keyBindings().getAction(key);
+            if (this.handleAction(action)) {
+                e.preventDefault();
+            }
+        } catch (error) {
+            this.game.handleGameError('Input processing error', error);
+        }
+    }
+    
+    // Returns true when the action was used
+    handleAction(action) {
+        if (action === 'mute') {
+            this.game.toggleMute();
+            return true;
+        }
+        if (action === 'restart') {
+            this.requestRematch();
+            return true;
+        }
+        if (this.phase !== 'playing' || !ENGINE_ACTIONS.includes(action)) return false;
+        
+        this.pendingInputs.push({ action, down: true });
+        return true;
+    }
+    
+    handleKeyUp(e) {
+        const key = KeyBindings.normalizeKey(e.key);
+        this.keys[key] = false;
+        
+        // Released unless another key bound to the same action is still down
+        const bindings = this.game.keyBindings();
+        const action = bindings.getAction(key);
+        if (HELD_ACTIONS.includes(action) && !bindings.getKeys(action).some(k => this.keys[k])) {
+            this.pendingInputs.push({ action, down: false });
+        }
+    }
+    
+    // Key-up events are lost while unfocused; the match itself can't pause
+    releaseHeldKeys() {
+        this.keys = {};
+        HELD_ACTIONS.forEach(action => this.pendingInputs.push({ action, down: false }));
+    }
+    
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+        
+        this.disconnect();
+        this.game.soundManager.setMusicPlaying(false);
+        this.game.hideOverlay('onlineOverlay');
+    }
+}
+
+// Board Editor Class
+// Browser adapter for setting up a position: cells are painted on the main canvas, and the
+// pieces and hold are picked in the editor panel. The single-player game is stopped while it runs
+class BoardEditor {
+    constructor(game, position) {
+        this.game = game;
+        this.CONFIG = game.CONFIG;
+        this.renderer = game.renderer;
+        this.canvas = document.getElementById('tetris');
+        this.board = position.board.map(row => [...row]);
+        this.current = position.pieces[0] || PIECE_NAMES[0];
+        this.queue = position.pieces.slice(1);
+        this.hold = position.hold;
+        this.brush = 1; // a cell value: 0 erases, 1-7 are the pieces, GARBAGE_CELL is garbage
+        this.stroke = null; // { id, value, last } while a pointer paints or erases
+        this.paletteButtons = [];
+        this.eventListeners = [];
+        
+        this.createPalette();
+        this.bindEvents();
+        this.updateControls();
+        this.update();
+        
+        const container = document.getElementById('gameContainer');
+        if (container) {
+            container.classList.add('editing');
+        }
+    }
+    
+    listen(element, event, handler) {
+        if (!element) return;
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+    
+    createPalette() {
+        const palette = document.getElementById('editorPalette');
+        if (!palette) return;
+        
+        palette.textContent = '';
+        this.paletteButtons = [...PUZZLE_CELLS].map((cell, value) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = value === 0 ? 'Erase' : cell;
+            button.title = value === 0 ? 'Erase' : value === GARBAGE_CELL ? 'Garbage' : cell + ' piece';
+            this.listen(button, 'click', () => this.setBrush(value));
+            palette.appendChild(button);
+            return button;
+        });
+    }
+    
+    bindEvents() {
+        this.listen(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(this.canvas, 'pointercancel', (e) => this.handlePointerUp(e));
+        this.listen(this.canvas, 'contextmenu', (e) => e.preventDefault());
+        
+        this.listen(document.getElementById('editorCurrent'), 'change', (e) => {
+            this.current = e.target.value;
+            this.update();
+        });
+        this.listen(document.getElementById('editorQueue'), 'input', (e) => {
+            // Only piece letters are kept, so the queue is always valid
+            const queue = e.target.value.toUpperCase().split('').filter(piece => PIECE_NAMES.includes(piece))
+                .slice(0, POSITION_MAX_PIECES - 1).join('');
+            if (queue !== e.target.value) {
+                e.target.value = queue;
+            }
+            this.queue = queue;
+            this.update();
+        });
+        this.listen(document.getElementById('editorHold'), 'change', (e) => {
+            this.hold = e.target.value || null;
+            this.update();
+        });
+        this.listen(document.getElementById('editorCode'), 'change', (e) => this.load(e.target.value));
+        
+        const bind = (id, action) => {
+            this.listen(document.getElementById(id), 'click', (e) => {
+                e.target.blur();
+                action();
+            });
+        };
+        bind('editorPlay', () => this.game.playPosition(this.code()));
+        bind('editorShare', () => this.share());
+        bind('editorClear', () => this.clear());
+        bind('editorExit', () => this.game.exitEditor());
+    }
+    
+    // The cell under the pointer, or null outside the board
+    cellAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * this.CONFIG.BOARD_WIDTH);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * this.CONFIG.BOARD_HEIGHT);
+        if (x < 0 || x >= this.CONFIG.BOARD_WIDTH || y < 0 || y >= this.CONFIG.BOARD_HEIGHT) {
+            return null;
+        }
+        return { x, y };
+    }
+    
+    // A stroke that starts on a cell of the brush's color, or with the right button, erases
+    handlePointerDown(e) {
+        const cell = this.cellAt(e);
+        if (!cell) return;
+        
+        e.preventDefault();
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+        
+        const erase = e.button === 2 || this.board[cell.y][cell.x] === this.brush;
+        this.stroke = { id: e.pointerId, value: erase ? 0 : this.brush, last: cell };
+        this.board[cell.y][cell.x] = this.stroke.value;
+        this.render();
+    }
+    
+    handlePointerMove(e) {
+        if (!this.stroke || this.stroke.id !== e.pointerId) return;
+        
+        e.preventDefault();
+        const cell = this.cellAt(e);
+        if (cell) {
+            this.paintTo(cell);
+        }
+    }
+    
+    handlePointerUp(e) {
+        if (!this.stroke || this.stroke.id !== e.pointerId) return;
+        
+        this.stroke = null;
+        this.update();
+    }
+    
+    // Fast drags skip cells between pointer events, so the line from the last cell is filled
+    // in. Only the board is redrawn mid-stroke; the code catches up when the stroke ends
+    paintTo(cell) {
+        const { last, value } = this.stroke;
+        const steps = Math.max(Math.abs(cell.x - last.x), Math.abs(cell.y - last.y));
+        if (steps === 0) return;
+        
+        for (let step = 1; step <= steps; step++) {
+            const x = last.x + Math.round((cell.x - last.x) * step / steps);
+            const y = last.y + Math.round((cell.y - last.y) * step / steps);
+            this.board[y][x] = value;
+        }
+        this.stroke.last = cell;
+        this.render();
+    }
+    
+    setBrush(value) {
+        this.brush = value;
+        this.render();
+    }
+    
+    clear() {
+        this.board = this.game.engine.createBoard();
+        this.update();
+    }
+    
+    code() {
+        return BoardCodec.encodePosition({ board: this.board, pieces: this.current + this.queue, hold: this.hold });
+    }
+    
+    // Takes a position code, or a whole shared link
+    load(text) {
+        const code = text.trim().replace(/^.*#position=/, '');
+        try {
+            const position = BoardCodec.decodePosition(code, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+            this.board = position.board;
+            this.current = position.pieces[0];
+            this.queue = position.pieces.slice(1);
+            this.hold = position.hold;
+        } catch (error) {
+            this.game.showErrorMessage('Could not load the board: ' + error.message);
+        }
+        this.updateControls();
+        this.update();
+    }
+    
+    // The link also goes in the address bar, so it can be copied from there when the
+    // clipboard is unavailable
+    share() {
+        const link = window.location.href.split('#')[0] + '#position=' + this.code();
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', link);
+        }
+        
+        const clipboard = typeof navigator !== 'undefined' && navigator.clipboard;
+        if (!clipboard || !clipboard.writeText) {
+            this.game.safeUpdateElement('editorStatus', 'Copy the link from the address bar');
+            return;
+        }
+        clipboard.writeText(link)
+            .then(() => this.game.safeUpdateElement('editorStatus', 'Link copied'))
+            .catch(() => this.game.safeUpdateElement('editorStatus', 'Copy the link from the address bar'));
+    }
+    
+    updateControls() {
+        const values = { editorCurrent: this.current, editorQueue: this.queue, editorHold: this.hold || '' };
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.value = values[id];
+            }
+        });
+    }
+    
+    update() {
+        const code = document.getElementById('editorCode');
+        if (code) {
+            code.value = this.code();
+        }
+        this.game.safeUpdateElement('editorStatus', '');
+        this.render();
+    }
+    
+    render() {
+        try {
+            this.renderer.renderBoard(this.board);
+            this.renderer.drawPreview([...this.queue].slice(0, this.CONFIG.PREVIEW_COUNT)
+                .map(piece => PIECE_NAMES.indexOf(piece)));
+            this.renderer.drawHold({ heldPiece: this.hold && PIECE_NAMES.indexOf(this.hold), canHold: true });
+        } catch (error) {
+            this.game.handleGameError('Editor drawing error', error);
+        }
+        
+        // Swatches follow the theme's colors
+        const { pieces, board } = this.renderer.theme;
+        this.paletteButtons.forEach((button, value) => {
+            button.style.background = value === 0 ? board.background :
+                value === GARBAGE_CELL ? board.garbage : pieces[value - 1];
+            button.className = value === this.brush ? 'selected' : '';
+        });
+    }
+    
+    cleanup() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+        this.stroke = null;
+        
+        const container = document.getElementById('gameContainer');
+        if (container) {
+            container.classList.remove('editing');
+        }
+    }
+}
+
+// Main Tetris Game Class
+// Browser adapter: drives a TetrisEngine from requestAnimationFrame and the DOM
+class TetrisGame {
+    constructor(config = {}) {
+        // Rules engine; it validates the gameplay settings itself. Picking another
+        // game mode swaps in a new engine built from the same settings
+        this.config = config;
+        this.engine = new TetrisEngine(this.engineConfig(config.mode || 'classic'));
+        
+        // Validate and set the presentation configuration
+        this.CONFIG = {
+            ...this.engine.CONFIG,
+            ...this.validateConfig({
+                BLOCK_SIZE: config.blockSize || 20,
+                KEY_DEBOUNCE_TIME: config.keyDebounceTime || 150,
+                MAX_INACTIVITY: config.maxInactivity || 60000,
+                MAX_ERRORS: config.maxErrors || 5,
+                GHOST_PIECE: config.ghostPiece !== undefined ? config.ghostPiece : true,
+                GHOST_OPACITY: config.ghostOpacity !== undefined ? config.ghostOpacity : 0.3,
+                GHOST_STYLE: config.ghostStyle || 'filled',
+                INTERPOLATE: config.interpolate !== undefined ? config.interpolate : true,
+                TOUCH_SENSITIVITY: config.touchSensitivity || 1,
+                TOUCH_BUTTONS: config.touchButtons || 'auto',
+                SOUND_VOLUME: config.soundVolume !== undefined ? config.soundVolume : 0.7,
+                MUSIC: config.music !== undefined ? config.music : true,
+                HINT: config.hint || false,
+                DEMO_SPEED: config.demoSpeed || 'normal',
+                AI_WEIGHTS: { ...AI_WEIGHTS, ...config.aiWeights }
+            })
+        };
+        
+        // Performance monitoring
+        this.performanceMetrics = {
+            frameCount: 0,
+            startTime: performance.now(),
+            lastFrameTime: 0,
+            avgFrameTime: 0,
+            memoryUsage: 0,
+            fps: 60
+        };
+        
+        // Error handling
+        this.errorCount = 0;
+        this.criticalErrors = [];
+        
+        // Memory management
+        this.eventListeners = [];
+        this.animationId = null;
+        this.timers = [];
+        this.performanceInterval = null;
+        
+        // Cross-browser compatibility
+        this.setupPolyfills();
+        
+        // Local leaderboard; a qualifying game waits in pendingEntry for its initials
+        this.leaderboard = new Leaderboard();
+        this.pendingEntry = null;
+        
+        // Built-in and imported puzzles, with how each one has gone
+        this.puzzles = new PuzzleManager(this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+        
+        // A suspended game found on load, waiting for the player to resume or discard it
+        this.savedGame = null;
+        
+        // Live stats of the game in play (and of a replay while one plays), and past games
+        this.stats = new GameStats(this.engine);
+        this.playerStats = null;
+        this.statsHistory = new StatsHistory();
+        
+        // Session state; the rules state lives in this.engine.state
+        this.gameState = this.createInitialGameState();
+        this.pendingInputs = [];
+        this.accumulator = 0;
+        this.lastTime = null;
+        
+        // Replay recording of the live game, and playback of a loaded one
+        this.replay = null;
+        this.player = null;
+        
+        // Synthesized audio; silent when WebAudio is missing
+        this.soundManager = new SoundManager({
+            volume: this.CONFIG.SOUND_VOLUME,
+            music: this.CONFIG.MUSIC
+        });
+        
+        // Rendering with the saved theme, and engine event wiring
+        this.themes = new ThemeManager();
+        this.renderer = new CanvasRenderer(this.engine, this.CONFIG);
+        this.bindEngineEvents(this.engine);
+        this.engine.on('gameOver', () => {
+            this.endGame();
+        });
+        
+        // Start menu; modeSelection is the highlighted entry of menuPage ('modes', or
+        // 'puzzles' once Puzzle is picked) while it is open
+        this.modeSelection = null;
+        this.menuPage = 'modes';
+        this.timerText = null;
+        
+        // Local and online two-player matches, and the board editor; the single-player game
+        // is stopped while they run
+        this.versus = null;
+        this.online = null;
+        this.editor = null;
+        
+        // Attract mode: while demo is set the AI plays the live game, which is never saved
+        // or ranked. The hint is the AI's pick for the current piece, kept until it moves
+        this.demo = null;
+        this.demoSpeed = this.CONFIG.DEMO_SPEED;
+        this.hintAI = null;
+        this.hint = null;
+        this.hintKey = null;
+        
+        // Input handling through remappable key bindings
+        this.controlsProfiles = new ControlsProfiles();
+        this.inputHandler = new InputHandler(this);
+        this.controlsMenu = new ControlsMenu(this);
+        this.gamepadInput = new GamepadInput(this);
+        this.gamepadInput.start();
+        this.touchInput = new TouchInput(this);
+        
+        // Security measures
+        this.securityValidator = new SecurityValidator();
+        
+        // Global error handler
+        this.setupErrorHandling();
+        
+        this.init();
+    }
+    
+    validateConfig(config) {
+        const errors = [];
+        
+        if (config.BLOCK_SIZE < 1 || config.BLOCK_SIZE > 100) {
+            errors.push('Block size must be between 1 and 100');
+        }
+        if (typeof config.GHOST_OPACITY !== 'number' || config.GHOST_OPACITY < 0 || config.GHOST_OPACITY > 1) {
+            errors.push('Ghost opacity must be between 0 and 1');
+        }
+        if (!['filled', 'outline'].includes(config.GHOST_STYLE)) {
+            errors.push('Ghost style must be filled or outline');
+        }
+        if (config.TOUCH_SENSITIVITY < 0.25 || config.TOUCH_SENSITIVITY > 4) {
+            errors.push('Touch sensitivity must be between 0.25 and 4');
+        }
+        if (!TOUCH_BUTTON_MODES.includes(config.TOUCH_BUTTONS)) {
+            errors.push('Touch buttons must be one of: ' + TOUCH_BUTTON_MODES.join(', '));
+        }
+        if (typeof config.SOUND_VOLUME !== 'number' || config.SOUND_VOLUME < 0 || config.SOUND_VOLUME > 1) {
+            errors.push('Sound volume must be between 0 and 1');
+        }
+        if (typeof config.MUSIC !== 'boolean') {
+            errors.push('Music must be true or false');
+        }
+        if (typeof config.HINT !== 'boolean') {
+            errors.push('Hint must be true or false');
+        }
+        if (!Object.keys(AI_SPEEDS).includes(config.DEMO_SPEED)) {
+            errors.push('Demo speed must be one of: ' + Object.keys(AI_SPEEDS).join(', '));
+        }
+        errors.push(...TetrisAI.validateWeights(config.AI_WEIGHTS));
+        
+        if (errors.length > 0) {
+            throw new ValidationError('Configuration validation failed: ' + errors.join(', '));
+        }
+        
+        return config;
+    }
+    
+    setupPolyfills() {
+        // RequestAnimationFrame polyfill
+        if (!window.requestAnimationFrame) {
+            window.requestAnimationFrame = window.webkitRequestAnimationFrame ||
+                                         window.mozRequestAnimationFrame ||
+                                         window.oRequestAnimationFrame ||
+                                         window.msRequestAnimationFrame ||
+                                         function(callback) {
+                                             return window.setTimeout(callback, 1000 / 60);
+                                         };
+        }
+        
+        if (!window.cancelAnimationFrame) {
+            window.cancelAnimationFrame = window.webkitCancelAnimationFrame ||
+                                        window.mozCancelAnimationFrame ||
+                                        window.oCancelAnimationFrame ||
+                                        window.msCancelAnimationFrame ||
+                                        function(id) {
+                                            clearTimeout(id);
+                                        };
+        }
+        
+        // Performance.now polyfill
+        if (!window.performance || !window.performance.now) {
+            window.performance = window.performance || {};
+            window.performance.now = Date.now || function() {
+                return new Date().getTime();
+            };
+        }
+        
+        // Array.isArray polyfill
+        if (!Array.isArray) {
+            Array.isArray = function(arg) {
+                return Object.prototype.toString.call(arg) === '[object Array]';
+            };
+        }
+    }
+    
+    setupErrorHandling() {
+        window.addEventListener('error', (event) => {
+            this.handleGameError('Global error', event.error);
+        });
+        
+        window.addEventListener('unhandledrejection', (event) => {
+            this.handleGameError('Unhandled promise rejection', event.reason);
+        });
+    }
+    
+    // Puzzle mode also takes the puzzle to play; other modes may start from an edited position
+    engineConfig(mode, { puzzle, position } = {}) {
+        return { ...this.config, mode, ...(puzzle && { puzzle }), ...(position && { position }) };
+    }
+    
+    // Makes a new live engine current, e.g. after switching game modes
+    useEngine(engine) {
+        this.engine = engine;
+        this.stats = new GameStats(engine);
+        this.CONFIG = { ...this.CONFIG, ...engine.CONFIG };
+        this.renderer.engine = engine;
+        this.bindEngineEvents(engine);
+        engine.on('gameOver', () => {
+            this.endGame();
+        });
+    }
+    
+    currentMode() {
+        return this.currentEngine().CONFIG.MODE;
+    }
+    
+    currentStats() {
+        return this.player ? this.playerStats : this.stats;
+    }
+    
+    // The best game of a mode, or how many puzzles are solved
+    formatRecord(mode) {
+        return GAME_MODES[mode].puzzle ? this.puzzles.formatProgress() : this.leaderboard.formatRecord(mode);
+    }
+    
+    createInitialGameState() {
+        return {
+            highScore: this.formatRecord(this.engine.CONFIG.MODE),
+            gameRunning: false,
+            gamePaused: false,
+            gameOver: false,
+            inactivityTimer: 0
+        };
+    }
+    
+    // Shared by the live engine and replay engines; game over is only bound for live play
+    bindEngineEvents(engine) {
+        engine.on('move', ({ dx }) => {
+            if (dx !== 0) {
+                this.soundManager.play('move');
+            }
+        });
+        
+        engine.on('rotate', () => {
+            this.soundManager.play('rotate');
+        });
+        
+        engine.on('hardDrop', () => {
+            this.soundManager.play('hardDrop');
+        });
+        
+        engine.on('lock', () => {
+            this.soundManager.play('lock');
+            this.hintKey = null;
+            this.updateDisplay();
+        });
+        
+        engine.on('clear', ({ linesCleared, labels, levelUp }) => {
+            if (labels.length > 0) {
+                this.showActionLabel(labels);
+            }
+            if (linesCleared > 0) {
+                this.soundManager.play('clear' + Math.min(linesCleared, 4));
+                this.flashEffect();
+                this.updateDisplay();
+            }
+            if (levelUp) {
+                this.soundManager.play('levelUp');
+                this.soundManager.setLevel(engine.state.level);
+            }
+        });
+        
+        engine.on('garbage', () => {
+            this.soundManager.play('garbage');
+            this.hintKey = null;
+        });
+        
+        engine.on('error', ({ context, error }) => {
+            this.handleGameError(context, error);
+        });
+    }
+    
+    init() {
+        try {
+            this.initializeCanvas();
+            this.initializeUI();
+            this.startRecording();
+            this.engine.start();
+            this.gameState.gameRunning = true;
+            this.startMusic();
+            
+            // A shared board link opens the editor; otherwise a saved game or the start menu comes up
+            const shared = this.sharedPosition();
+            if (shared) {
+                this.startEditor(shared);
+            } else if (!this.offerSavedGame()) {
+                this.openModeMenu();
+            }
+            this.startPerformanceMonitoring();
+            this.updateDisplay();
+            this.gameLoop();
+            return true;
+        } catch (error) {
+            this.handleCriticalError('Initialization failed', error);
+            return false;
+        }
+    }
+    
+    initializeCanvas() {
+        this.renderer.initialize();
+    }
+    
+    initializeUI() {
+        // Initialize performance display
+        this.updatePerformanceDisplay();
+        this.initializeReplayControls();
+        this.initializeAudioControls();
+        this.initializeThemeControls();
+        this.initializeNameEntry();
+        this.initializeSaveEvents();
+        this.initializeModeControls();
+        this.initializeAIControls();
+        this.renderControlsPanel();
+    }
+    
+    keyBindings() {
+        return this.controlsProfiles.bindings;
+    }
+    
+    getVisibleActions() {
+        return BINDABLE_ACTIONS.filter(action => action !== 'rotate180' || this.CONFIG.ALLOW_180);
+    }
+    
+    // The controls list is generated from the active bindings
+    renderControlsPanel() {
+        const list = document.getElementById('controlsList');
+        if (!list) return;
+        
+        list.textContent = '';
+        this.getVisibleActions().forEach(action => {
+            const keys = this.keyBindings().getKeys(action).map(KeyBindings.formatKey);
+            const line = document.createElement('p');
+            line.textContent = (keys.length > 0 ? keys.join(' / ') : '(unbound)') + ' ' + ACTION_LABELS[action];
+            list.appendChild(line);
+        });
+    }
+    
+    initializeReplayControls() {
+        const bind = (id, event, action) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            // Drop focus afterwards so Space and the arrows keep controlling the game
+            const handler = (e) => {
+                action(e);
+                element.blur();
+            };
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        bind('saveReplay', 'click', () => this.downloadReplay());
+        bind('loadReplay', 'change', (e) => this.loadReplayFile(e.target.files && e.target.files[0]));
+        bind('replayPause', 'click', () => this.pauseGame());
+        bind('replayStep', 'click', () => this.stepReplayFrame());
+        bind('replaySpeed', 'change', (e) => this.setReplaySpeed(parseFloat(e.target.value)));
+        bind('replayExit', 'click', () => this.restart());
+    }
+    
+    initializeSaveEvents() {
+        const listen = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        listen(window, 'beforeunload', () => this.saveGame());
+        listen(document.getElementById('resumeGame'), 'click', () => this.resumeSavedGame());
+        listen(document.getElementById('newGame'), 'click', () => this.discardSavedGame());
+    }
+    
+    initializeModeControls() {
+        const bind = (id, action) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            const handler = () => {
+                action();
+                element.blur();
+            };
+            element.addEventListener('click', handler);
+            this.eventListeners.push({ element, event: 'click', handler });
+        };
+        
+        bind('changeMode', () => this.openModeMenu());
+        bind('gameOverModes', () => this.openModeMenu());
+        bind('playAgain', () => this.restart());
+        bind('exportStats', () => this.downloadStatsHistory());
+        bind('closeModes', () => this.menuBack());
+        bind('nextPuzzle', () => this.startNextPuzzle());
+        bind('startVersus', () => this.startVersus());
+        bind('startOnline', () => this.startOnline());
+        bind('startEditor', () => this.startEditor());
+        bind('editBoard', () => this.startEditor(this.engine.CONFIG.POSITION));
+        
+        const importPuzzles = document.getElementById('importPuzzles');
+        if (importPuzzles) {
+            const handler = (e) => {
+                this.importPuzzleFile(e.target.files && e.target.files[0]);
+                e.target.value = '';
+                importPuzzles.blur();
+            };
+            importPuzzles.addEventListener('change', handler);
+            this.eventListeners.push({ element: importPuzzles, event: 'change', handler });
+        }
+    }
+    
+    initializeAIControls() {
+        const bind = (id, event, action) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            // Drop focus afterwards so Space and the arrows keep controlling the game
+            const handler = (e) => {
+                action(e);
+                element.blur();
+            };
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        bind('hintToggle', 'click', () => this.toggleHint());
+        bind('startDemo', 'click', () => this.startDemo());
+        bind('menuDemo', 'click', () => this.startDemo());
+        bind('demoSpeed', 'change', (e) => this.setDemoSpeed(e.target.value));
+        
+        const speed = document.getElementById('demoSpeed');
+        if (speed) {
+            speed.value = this.demoSpeed;
+        }
+        this.updateHintButton();
+    }
+    
+    toggleHint() {
+        this.CONFIG.HINT = !this.CONFIG.HINT;
+        this.hintKey = null;
+        this.updateHintButton();
+    }
+    
+    updateHintButton() {
+        const button = document.getElementById('hintToggle');
+        if (button) {
+            button.textContent = this.CONFIG.HINT ? 'Hint: On' : 'Hint: Off';
+            button.setAttribute('aria-pressed', String(this.CONFIG.HINT));
+        }
+    }
+    
+    // Only searched again once the piece moves or changes, or the board changes
+    updateHint() {
+        const piece = this.engine.state.currentPiece;
+        if (!this.CONFIG.HINT || this.demo || this.player || !piece || this.gameState.gameOver) {
+            this.hint = null;
+            this.hintKey = null;
+            return null;
+        }
+        
+        const key = [piece.shapeIndex, piece.x, piece.y, piece.rotation].join(',');
+        if (key !== this.hintKey) {
+            if (!this.hintAI || this.hintAI.engine !== this.engine) {
+                this.hintAI = new TetrisAI(this.engine, this.CONFIG.AI_WEIGHTS);
+            }
+            this.hint = this.hintAI.bestPlacement();
+            this.hintKey = key;
+        }
+        return this.hint;
+    }
+    
+    isDemoRunning() {
+        return this.demo !== null;
+    }
+    
+    // A fresh Endless game played by the AI; it starts over a little after each game over
+    startDemo() {
+        this.startGame('classic');
+        
+        try {
+            this.demo = new AIPlayer(new TetrisAI(this.engine, this.CONFIG.AI_WEIGHTS), this.demoSpeed);
+        } catch (error) {
+            this.handleGameError('AI demo error', error);
+        }
+        this.updateDisplay();
+    }
+    
+    setDemoSpeed(speed) {
+        if (!Object.keys(AI_SPEEDS).includes(speed)) return;
+        
+        this.demoSpeed = speed;
+        if (this.demo) {
+            this.demo.speed = speed;
+            this.updateDisplay();
+        }
+    }
+    
+    // Any input ends the demo and brings up the start menu
+    stopDemo() {
+        this.demo = null;
+        this.restart();
+        this.openModeMenu();
+    }
+    
+    isModeMenuOpen() {
+        return this.modeSelection !== null;
+    }
+    
+    // Pauses (and saves) the game underneath; starting a mode replaces it
+    openModeMenu() {
+        if (this.isModeMenuOpen()) return;
+        
+        if (this.player) {
+            if (!this.player.paused) {
+                this.pauseGame();
+            }
+        } else if (this.gameState.gameRunning && !this.gameState.gamePaused) {
+            this.gameState.gamePaused = true;
+            this.soundManager.setMusicPlaying(false);
+            this.saveGame();
+        }
+        
+        // A puzzle brings the menu up on its puzzle list
+        const puzzle = this.currentEngine().CONFIG.PUZZLE;
+        this.menuPage = puzzle ? 'puzzles' : 'modes';
+        this.modeSelection = puzzle ?
+            Math.max(0, this.puzzles.getLevels().findIndex(level => level.id === puzzle.id)) :
+            Object.keys(GAME_MODES).indexOf(this.currentMode());
+        this.hideOverlay('gameOverOverlay');
+        this.hideOverlay('pauseOverlay');
+        this.hideOverlay('inactivityOverlay');
+        this.renderModeMenu();
+        
+        const overlay = document.getElementById('modeOverlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+        }
+    }
+    
+    // Back to the game underneath, still paused
+    closeModeMenu() {
+        if (!this.isModeMenuOpen()) return;
+        
+        this.modeSelection = null;
+        this.hideOverlay('modeOverlay');
+        
+        const id = this.gameState.gameOver ? 'gameOverOverlay' : 'pauseOverlay';
+        const overlay = document.getElementById(id);
+        if (overlay && !this.player && !this.editor) {
+            overlay.style.display = 'flex';
+        }
+    }
+    
+    showMenuPage(page, selection = 0) {
+        this.menuPage = page;
+        this.modeSelection = selection;
+        this.renderModeMenu();
+    }
+    
+    // Back from the puzzle list to the modes, or out of the menu
+    menuBack() {
+        if (this.menuPage === 'puzzles') {
+            this.showMenuPage('modes', Object.keys(GAME_MODES).indexOf('puzzle'));
+        } else {
+            this.closeModeMenu();
+        }
+    }
+    
+    // Entries of the open menu page as { name, description, record, start }
+    menuItems() {
+        if (this.menuPage === 'puzzles') {
+            return this.puzzles.getLevels().map(level => {
+                const { attempts, solved, best } = this.puzzles.getProgress(level.id);
+                return {
+                    name: (solved ? '✓ ' : '') + level.name,
+                    description: PuzzleLevel.describeGoal(level) + (level.description ? ' · ' + level.description : ''),
+                    record: solved ? 'Solved in ' + best + (best === 1 ? ' piece' : ' pieces') :
+                        attempts > 0 ? 'Tried ' + attempts + (attempts === 1 ? ' time' : ' times') : 'Not tried',
+                    start: () => this.startPuzzle(level.id)
+                };
+            });
+        }
+        
+        return Object.keys(GAME_MODES).map(mode => ({
+            name: GAME_MODES[mode].name,
+            description: GAME_MODES[mode].description,
+            record: (GAME_MODES[mode].puzzle ? 'Solved: ' : 'Best: ') + this.formatRecord(mode),
+            start: () => this.startGame(mode)
+        }));
+    }
+    
+    renderModeMenu() {
+        const puzzles = this.menuPage === 'puzzles';
+        this.safeUpdateElement('modeTitle', puzzles ? 'Choose a Puzzle' : 'Choose a Mode');
+        this.safeUpdateElement('modeHelp', puzzles ?
+            '↑ ↓ to choose, Space or P to play, R for the modes' : '↑ ↓ to choose, Space or P to start');
+        
+        // Multiplayer, the demo and the editor belong to the mode page, importing to the puzzle page
+        ['startVersus', 'startOnline', 'menuDemo', 'startEditor'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.style.display = puzzles ? 'none' : '';
+            }
+        });
+        const importButton = document.getElementById('importPuzzlesButton');
+        if (importButton) {
+            importButton.style.display = puzzles ? 'inline-block' : 'none';
+        }
+        
+        const list = document.getElementById('modeList');
+        if (!list) return;
+        
+        list.textContent = '';
+        const items = this.menuItems();
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No puzzles fit a ' + this.CONFIG.BOARD_WIDTH + ' x ' + this.CONFIG.BOARD_HEIGHT +
+                ' board yet. Import a puzzle file to add some.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        items.forEach((item, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = index === this.modeSelection ? 'mode-option selected' : 'mode-option';
+            
+            const name = document.createElement('strong');
+            name.textContent = item.name;
+            const description = document.createElement('span');
+            description.textContent = item.description;
+            const record = document.createElement('span');
+            record.className = 'mode-record';
+            record.textContent = item.record;
+            [name, description, record].forEach(part => button.appendChild(part));
+            
+            button.addEventListener('click', item.start);
+            list.appendChild(button);
+        });
+    }
+    
+    // Keyboard, gamepad and touch buttons drive the menu with the game actions
+    handleModeMenuAction(action) {
+        const items = this.menuItems();
+        const count = Math.max(1, items.length);
+        
+        switch (action) {
+            case 'moveLeft':
+            case 'rotateCW':
+            case 'rotateCCW':
+                this.modeSelection = (this.modeSelection + count - 1) % count;
+                this.renderModeMenu();
+                return true;
+            case 'moveRight':
+            case 'softDrop':
+                this.modeSelection = (this.modeSelection + 1) % count;
+                this.renderModeMenu();
+                return true;
+            case 'hardDrop':
+            case 'pause':
+                if (items[this.modeSelection]) {
+                    items[this.modeSelection].start();
+                }
+                return true;
+            case 'restart':
+                this.menuBack();
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    startGame(mode) {
+        // Puzzle mode first asks which puzzle to play
+        if (GAME_MODES[mode].puzzle) {
+            this.openModeMenu();
+            this.showMenuPage('puzzles');
+            return;
+        }
+        
+        this.modeSelection = null;
+        this.hideOverlay('modeOverlay');
+        
+        // A game from an edited position is replaced by a plain one
+        if (mode !== this.engine.CONFIG.MODE || this.engine.CONFIG.POSITION) {
+            try {
+                this.useEngine(new TetrisEngine(this.engineConfig(mode)));
+            } catch (error) {
+                this.showErrorMessage('Could not start ' + GAME_MODES[mode].name + ': ' + error.message);
+            }
+        }
+        this.restart();
+    }
+    
+    // Every puzzle gets its own engine, since the puzzle is part of its settings
+    startPuzzle(id) {
+        const level = this.puzzles.getLevel(id);
+        if (!level) return;
+        
+        try {
+            this.useEngine(new TetrisEngine(this.engineConfig('puzzle', { puzzle: level })));
+        } catch (error) {
+            this.showErrorMessage('Could not start ' + level.name + ': ' + error.message);
+            return;
+        }
+        this.restart();
+    }
+    
+    startNextPuzzle() {
+        const puzzle = this.engine.CONFIG.PUZZLE;
+        const next = puzzle && this.puzzles.getNext(puzzle.id);
+        if (next) {
+            this.startPuzzle(next.id);
+        }
+    }
+    
+    importPuzzleFile(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                const levels = this.puzzles.import(text);
+                const ids = this.puzzles.getLevels().map(level => level.id);
+                if (this.isModeMenuOpen()) {
+                    this.showMenuPage('puzzles', ids.indexOf(levels[0].id));
+                }
+            })
+            .catch(error => {
+                console.error('Puzzle import error:', error);
+                this.showErrorMessage('Could not import puzzles: ' + error.message);
+            });
+    }
+    
+    // Shows one of the single, versus or online layouts
+    setLayout(layout) {
+        const containers = { single: 'gameContainer', versus: 'versusContainer', online: 'onlineContainer' };
+        Object.keys(containers).forEach(name => {
+            const container = document.getElementById(containers[name]);
+            if (container) {
+                container.style.display = name !== layout ? 'none' : name === 'single' ? '' : 'flex';
+            }
+        });
+    }
+    
+    // Two-player matches and the editor replace the current game, like picking another mode
+    stopSinglePlayer() {
+        this.stopEditor();
+        this.modeSelection = null;
+        this.demo = null;
+        this.hideOverlay('modeOverlay');
+        this.cleanup();
+        this.stopPlayback();
+        this.pendingEntry = null;
+        this.savedGame = null;
+        this.clearSavedGame();
+        this.gameState = this.createInitialGameState();
+        this.hideOverlay('gameOverOverlay');
+        this.hideOverlay('pauseOverlay');
+        this.hideOverlay('inactivityOverlay');
+        this.soundManager.setMusicPlaying(false);
+    }
+    
+    startVersus() {
+        this.stopSinglePlayer();
+        this.setLayout('versus');
+        
+        try {
+            this.versus = new VersusGame(this);
+        } catch (error) {
+            this.handleGameError('Versus start error', error);
+            this.exitVersus();
+        }
+    }
+    
+    exitVersus() {
+        if (this.versus) {
+            this.versus.cleanup();
+            this.versus = null;
+        }
+        this.setLayout('single');
+        this.restart();
+        this.openModeMenu();
+    }
+    
+    startOnline() {
+        this.stopSinglePlayer();
+        this.setLayout('online');
+        
+        try {
+            this.online = new OnlineVersusGame(this);
+        } catch (error) {
+            this.handleGameError('Online start error', error);
+            this.exitOnline();
+        }
+    }
+    
+    exitOnline() {
+        if (this.online) {
+            this.online.cleanup();
+            this.online = null;
+        }
+        this.setLayout('single');
+        this.restart();
+        this.openModeMenu();
+    }
+    
+    // Opens the position code when given one, else the board and pieces of the current game
+    startEditor(code = null) {
+        let position = this.currentPosition();
+        if (code) {
+            try {
+                position = BoardCodec.decodePosition(code, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
+            } catch (error) {
+                this.showErrorMessage('Could not open the board: ' + error.message);
+            }
+        }
+        
+        this.stopSinglePlayer();
+        // stopSinglePlayer() detached the keyboard listeners; the start menu still needs them
+        this.inputHandler = new InputHandler(this);
+        
+        try {
+            this.editor = new BoardEditor(this, position);
+        } catch (error) {
+            this.handleGameError('Editor start error', error);
+            this.exitEditor();
+            return;
+        }
+        this.updateDisplay();
+    }
+    
+    stopEditor() {
+        if (this.editor) {
+            this.editor.cleanup();
+            this.editor = null;
+        }
+    }
+    
+    exitEditor() {
+        this.stopEditor();
+        this.restart();
+        this.openModeMenu();
+    }
+    
+    // Plays an edited position as an Endless game. The position stays in the engine's
+    // settings, so playing again starts over from it
+    playPosition(code) {
+        let engine;
+        try {
+            engine = new TetrisEngine(this.engineConfig('classic', { position: code }));
+        } catch (error) {
+            this.showErrorMessage('Could not play this board: ' + error.message);
+            return;
+        }
+        
+        this.stopEditor();
+        this.useEngine(engine);
+        this.restart();
+    }
+    
+    currentPosition() {
+        const { board, currentPiece, heldPiece } = this.engine.state;
+        const pieces = [currentPiece && currentPiece.shapeIndex, ...this.engine.pieceQueue.peek()]
+            .filter(shapeIndex => shapeIndex !== null)
+            .slice(0, POSITION_MAX_PIECES);
+        return {
+            board: board.map(row => [...row]),
+            pieces: pieces.map(shapeIndex => PIECE_NAMES[shapeIndex]).join(''),
+            hold: heldPiece === null ? null : PIECE_NAMES[heldPiece]
+        };
+    }
+    
+    // Links from the editor's Copy link end in #position=<code>
+    sharedPosition() {
+        const match = /[#&]position=([^&]*)/.exec(window.location.hash || '');
+        return match ? match[1] : null;
+    }
+    
+    initializeNameEntry() {
+        const form = document.getElementById('nameEntry');
+        if (!form) return;
+        
+        const handler = (e) => {
+            e.preventDefault();
+            const input = document.getElementById('playerName');
+            this.submitName(input ? input.value : '');
+            
+            // Hand the keyboard back so R restarts
+            if (input && !this.isEnteringName()) {
+                input.blur();
+            }
+        };
+        form.addEventListener('submit', handler);
+        this.eventListeners.push({ element: form, event: 'submit', handler });
+    }
+    
+    initializeThemeControls() {
+        const bind = (id, event, action) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            const handler = (e) => {
+                action(e);
+                element.blur();
+            };
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        bind('themeSelect', 'change', (e) => this.selectTheme(e.target.value));
+        bind('importTheme', 'change', (e) => {
+            this.importThemeFile(e.target.files && e.target.files[0]);
+            e.target.value = '';
+        });
+        bind('deleteTheme', 'click', () => this.deleteTheme());
+        
+        this.applyTheme();
+    }
+    
+    // Sends the active theme to the renderer and the page's CSS custom properties
+    applyTheme() {
+        const theme = this.themes.getTheme();
+        this.renderer.setTheme(theme);
+        
+        const root = document.documentElement;
+        if (root && root.style) {
+            Object.keys(THEME_UI_PROPERTIES).forEach(key => {
+                root.style.setProperty(THEME_UI_PROPERTIES[key], theme.ui[key]);
+            });
+        }
+        
+        this.renderThemeOptions();
+        if (this.renderer.ctx) {
+            this.draw();
+        }
+    }
+    
+    renderThemeOptions() {
+        const select = document.getElementById('themeSelect');
+        if (select) {
+            select.textContent = '';
+            this.themes.getNames().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = this.themes.active;
+        }
+        
+        const deleteButton = document.getElementById('deleteTheme');
+        if (deleteButton) {
+            deleteButton.disabled = this.themes.isBuiltIn(this.themes.active);
+        }
+    }
+    
+    selectTheme(name) {
+        try {
+            this.themes.select(name);
+            this.applyTheme();
+        } catch (error) {
+            this.showErrorMessage(error.message);
+        }
+    }
+    
+    importThemeFile(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => {
+                this.themes.import(text);
+                this.applyTheme();
+            })
+            .catch(error => {
+                console.error('Theme import error:', error);
+                this.showErrorMessage('Could not import theme: ' + error.message);
+            });
+    }
+    
+    deleteTheme() {
+        this.themes.remove(this.themes.active);
+        this.applyTheme();
+    }
+    
+    initializeAudioControls() {
+        const bind = (id, event, action) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            const handler = (e) => {
+                action(e);
+                this.updateAudioControls();
+                element.blur();
+            };
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        };
+        
+        bind('muteButton', 'click', () => this.soundManager.toggleMute());
+        bind('volume', 'input', (e) => this.soundManager.setVolume(parseInt(e.target.value, 10) / 100));
+        bind('musicToggle', 'change', (e) => this.soundManager.setMusicEnabled(e.target.checked));
+        
+        this.updateAudioControls();
+    }
+    
+    updateAudioControls() {
+        const { volume, muted, music } = this.soundManager.settings;
+        
+        const muteButton = document.getElementById('muteButton');
+        if (muteButton) {
+            muteButton.textContent = muted ? '🔇' : '🔊';
+            muteButton.setAttribute('aria-pressed', String(muted));
+        }
+        const slider = document.getElementById('volume');
+        if (slider) {
+            slider.value = String(Math.round(volume * 100));
+        }
+        const musicToggle = document.getElementById('musicToggle');
+        if (musicToggle) {
+            musicToggle.checked = music;
+        }
+    }
+    
+    toggleMute() {
+        this.soundManager.toggleMute();
+        this.updateAudioControls();
+    }
+    
+    // Music follows the level of whichever engine is on screen
+    startMusic() {
+        this.soundManager.setLevel(this.currentEngine().state.level);
+        this.soundManager.setMusicPlaying(true);
+    }
+    
+    queueInput(action, down) {
+        if (this.player) return; // Playback ignores gameplay input
+        this.pendingInputs.push({ action, down });
+    }
+    
+    // Dropped keys are released through the queue so the replay sees them too
+    resetInputs() {
+        this.pendingInputs = [];
+        HELD_ACTIONS.forEach(action => this.queueInput(action, false));
+        if (this.gamepadInput) {
+            this.gamepadInput.reset();
+        }
+        if (this.touchInput) {
+            this.touchInput.reset();
+        }
+    }
+    
+    startRecording() {
+        this.replay = new Replay({ seed: this.engine.seed, config: this.engine.options });
+    }
+    
+    // Live play advances in fixed 60Hz frames, whatever the display refresh rate, so gravity
+    // is exact and recorded inputs land on the same frame in playback
+    runFrames(deltaTime) {
+        this.accumulator += Math.min(deltaTime, MAX_CATCH_UP_FRAMES * TICK_DURATION);
+        while (this.accumulator + TIME_EPSILON >= TICK_DURATION && !this.gameState.gameOver) {
+            this.accumulator -= TICK_DURATION;
+            
+            if (this.demo) {
+                this.pendingInputs.push(...this.demo.update(TICK_DURATION));
+            }
+            
+            const inputs = this.pendingInputs;
+            this.pendingInputs = [];
+            inputs.forEach(input => this.replay.record(this.engine.state.frame, input));
+            this.engine.tick(inputs);
+        }
+    }
+    
+    currentEngine() {
+        return this.player ? this.player.engine : this.engine;
+    }
+    
+    downloadReplay() {
+        try {
+            const replay = this.player ? this.player.replay : this.replay;
+            if (!replay) return;
+            
+            if (replay === this.replay && !this.gameState.gameOver) {
+                replay.finish(this.engine.state);
+            }
+            
+            const blob = new Blob([replay.serialize()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'tetris-replay-' + replay.seed + '.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Replay save error:', error);
+            this.showErrorMessage('Could not save replay');
+        }
+    }
+    
+    loadReplayFile(file) {
+        if (!file) return;
+        
+        file.text()
+            .then(text => this.startPlayback(Replay.parse(text)))
+            .catch(error => {
+                console.error('Replay load error:', error);
+                this.showErrorMessage('Could not load replay: ' + error.message);
+            });
+    }
+    
+    startPlayback(replay) {
+        const player = new ReplayPlayer(replay);
+        
+        this.cleanup();
+        this.pendingEntry = null;
+        this.savedGame = null;
+        this.modeSelection = null;
+        this.hideOverlay('resumeOverlay');
+        this.hideOverlay('modeOverlay');
+        this.player = player;
+        this.playerStats = new GameStats(player.engine);
+        this.bindEngineEvents(player.engine);
+        this.renderer.engine = player.engine;
+        
+        this.gameState = this.createInitialGameState();
+        this.hideOverlay('gameOverOverlay');
+        this.hideOverlay('pauseOverlay');
+        this.hideOverlay('inactivityOverlay');
+        
+        const controls = document.getElementById('replayControls');
+        if (controls) {
+            controls.style.display = 'flex';
+        }
+        const speed = document.getElementById('replaySpeed');
+        if (speed) {
+            speed.value = '1';
+        }
+        
+        this.inputHandler = new InputHandler(this);
+        this.updateDisplay();
+        this.updateReplayStatus();
+        this.gameState.gameRunning = true;
+        this.startMusic();
+        this.gameLoop();
+    }
+    
+    stopPlayback() {
+        this.player = null;
+        this.playerStats = null;
+        this.renderer.engine = this.engine;
+        
+        const controls = document.getElementById('replayControls');
+        if (controls) {
+            controls.style.display = 'none';
         }
     }
     
-    hardDrop() {
-        try {
-            while (this.movePiece(0, 1)) {
-                this.gameState.score += 1;
-            }
-            this.mergePiece();
-        } catch (error) {
-            this.handleGameError('Hard drop error', error);
-        }
+    // Frame stepping pauses playback so the stepped frame stays on screen
+    stepReplayFrame() {
+        if (!this.player) return;
+        
+        this.player.paused = true;
+        this.player.stepFrame();
+        this.updateDisplay();
+        this.updateReplayStatus();
     }
     
-    mergePiece() {
+    setReplaySpeed(speed) {
+        if (!this.player) return;
+        
         try {
-            if (!this.gameState.currentPiece || !this.validatePiece(this.gameState.currentPiece)) {
-                this.spawnPiece();
-                return;
-            }
-            
-            const { shape, x, y, shapeIndex } = this.gameState.currentPiece;
-            
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col]) {
-                        const boardY = y + row;
-                        const boardX = x + col;
-                        
-                        if (boardY >= 0 && boardY < this.CONFIG.BOARD_HEIGHT &&
-                            boardX >= 0 && boardX < this.CONFIG.BOARD_WIDTH) {
-                            this.gameState.board[boardY][boardX] = shapeIndex + 1;
-                        }
-                    }
-                }
-            }
-            
-            this.clearLines();
-            this.spawnPiece();
+            this.player.setSpeed(speed);
         } catch (error) {
-            this.handleGameError('Piece merge error', error);
+            this.showErrorMessage(error.message);
         }
     }
     
-    clearLines() {
-        try {
-            let linesCleared = 0;
-            
-            for (let row = this.CONFIG.BOARD_HEIGHT - 1; row >= 0; row--) {
-                if (this.gameState.board[row].every(cell => cell !== 0)) {
-                    this.gameState.board.splice(row, 1);
-                    this.gameState.board.unshift(Array(this.CONFIG.BOARD_WIDTH).fill(0));
-                    linesCleared++;
-                    row++; // Check the same row again
-                }
-            }
-            
-            if (linesCleared > 0) {
-                this.gameState.lines += linesCleared;
-                this.gameState.score += linesCleared * 100 * this.gameState.level;
-                this.gameState.level = Math.min(this.CONFIG.MAX_LEVEL, Math.floor(this.gameState.lines / 10) + 1);
-                this.gameState.dropInterval = Math.max(100, 1000 - (this.gameState.level - 1) * 50);
-                
-                this.flashEffect();
-                this.updateDisplay();
-            }
-        } catch (error) {
-            this.handleGameError('Line clearing error', error);
+    updateReplayStatus() {
+        if (!this.player) return;
+        
+        const { frame } = this.player.engine.state;
+        let status = 'Frame ' + frame + ' / ' + this.player.replay.frames;
+        if (this.player.isFinished()) {
+            status += ' (finished)';
+        } else if (this.player.paused) {
+            status += ' (paused)';
         }
+        this.safeUpdateElement('replayStatus', status);
+        this.safeUpdateElement('replayPause', this.player.paused ? 'Play' : 'Pause');
+    }
+    
+    showActionLabel(labels) {
+        const label = document.getElementById('actionLabel');
+        if (!label) return;
+        
+        label.textContent = labels.join('\n');
+        label.classList.add('active');
+        
+        clearTimeout(this.actionLabelTimer);
+        this.actionLabelTimer = setTimeout(() => {
+            label.classList.remove('active');
+        }, 1500);
     }
     
     flashEffect() {
@@ -668,23 +7754,142 @@ class TetrisGame {
     
     updateDisplay() {
         try {
+            const { score, level, lines, garbageCleared } = this.currentEngine().state;
             const sanitizedData = this.securityValidator.sanitizeGameData({
-                score: this.gameState.score,
-                level: this.gameState.level,
-                lines: this.gameState.lines,
+                score,
+                level,
+                lines,
+                garbageCleared,
                 highScore: this.gameState.highScore
             });
             
+            const mode = GAME_MODES[this.currentMode()];
+            const puzzle = this.currentEngine().CONFIG.PUZZLE;
+            const lineGoal = puzzle && puzzle.goal.type === 'lines' ? puzzle.goal.lines : mode.lineGoal;
             this.safeUpdateElement('score', sanitizedData.score);
             this.safeUpdateElement('level', sanitizedData.level);
-            this.safeUpdateElement('lines', sanitizedData.lines);
+            // Goal modes count toward their goal; Dig counts garbage lines only
+            if (mode.garbageGoal) {
+                this.safeUpdateElement('lines', sanitizedData.garbageCleared + ' / ' + mode.garbageGoal);
+            } else {
+                this.safeUpdateElement('lines', lineGoal ? sanitizedData.lines + ' / ' + lineGoal : sanitizedData.lines);
+            }
             this.safeUpdateElement('highscore', sanitizedData.highScore);
+            this.safeUpdateElement('recordLabel', puzzle ? 'Solved:' : mode.ranking === 'time' ? 'Best Time:' : 'High Score:');
+            if (this.editor) {
+                this.safeUpdateElement('modeName', 'Board Editor');
+            } else if (this.demo) {
+                this.safeUpdateElement('modeName', 'AI Demo (' + AI_SPEEDS[this.demo.speed].name + ') · press any key to play');
+            } else {
+                this.safeUpdateElement('modeName', puzzle ? puzzle.name + ' · ' + PuzzleLevel.describeGoal(puzzle) :
+                    mode.name + (this.currentEngine().CONFIG.POSITION ? ' · Custom board' : ''));
+            }
             this.safeUpdateElement('errors', this.errorCount);
+            this.updateTimer();
+            this.updateLiveStats();
         } catch (error) {
             this.handleGameError('Display update error', error);
         }
     }
     
+    // Ultra counts down to zero; Sprint shows milliseconds. Only changed text is written
+    updateTimer() {
+        const { timeLimit, ranking } = GAME_MODES[this.currentMode()];
+        const time = this.currentEngine().state.time;
+        const text = timeLimit ?
+            Leaderboard.formatDuration(Math.ceil(Math.max(0, timeLimit - time) / 1000) * 1000) :
+            Leaderboard.formatDuration(time, ranking === 'time');
+        
+        if (text !== this.timerText) {
+            this.timerText = text;
+            this.safeUpdateElement('timer', text);
+            this.updateLiveStats();
+        }
+    }
+    
+    // Refreshed on every lock and once a second with the timer
+    updateLiveStats() {
+        const stats = this.currentStats();
+        if (!stats) return;
+        
+        const summary = stats.summary();
+        this.safeUpdateElement('statPps', summary.pps.toFixed(2));
+        this.safeUpdateElement('statLpm', summary.lpm.toFixed(1));
+        this.safeUpdateElement('statApm', summary.apm.toFixed(1));
+        this.safeUpdateElement('statKpp', summary.kpp.toFixed(2));
+        this.safeUpdateElement('statFinesse', summary.finesseFaults);
+    }
+    
+    renderStatsSummary(summary) {
+        const container = document.getElementById('statsSummary');
+        if (!container) return;
+        
+        const clearNames = { single: 'Singles', double: 'Doubles', triple: 'Triples', tetris: 'Tetrises' };
+        const lines = [
+            'PPS ' + summary.pps.toFixed(2) + ' · LPM ' + summary.lpm.toFixed(1) + ' · APM ' +
+                summary.apm.toFixed(1) + ' · KPP ' + summary.kpp.toFixed(2) + ' · Finesse faults ' + summary.finesseFaults,
+            CLEAR_TYPES.map(type => clearNames[type] + ' ' + summary.clears[type]).join(' · '),
+            summary.pieces + ' pieces: ' +
+                PIECE_NAMES.map((name, index) => name + ' ' + summary.pieceCounts[index]).join(' · ')
+        ];
+        
+        container.textContent = '';
+        lines.forEach(text => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            container.appendChild(line);
+        });
+    }
+    
+    // Pieces per second over the stored games of this mode, newest on the right
+    drawStatsChart(mode) {
+        const canvas = document.getElementById('statsChart');
+        const ctx = canvas && canvas.getContext('2d');
+        if (!ctx) return;
+        
+        const values = this.statsHistory.getGames(mode).map(game => game.pps);
+        const { width, height } = canvas;
+        const theme = this.themes.getTheme();
+        ctx.clearRect(0, 0, width, height);
+        
+        const best = Math.max(0, ...values);
+        this.safeUpdateElement('statsChartCaption', values.length < 2 ?
+            'Play more ' + GAME_MODES[mode].name + ' games to chart your pieces per second' :
+            'Pieces per second, last ' + values.length + ' ' + GAME_MODES[mode].name + ' games (best ' + best.toFixed(2) + ')');
+        if (values.length < 2 || best === 0) return;
+        
+        ctx.strokeStyle = theme.ui.accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            const x = index / (values.length - 1) * (width - 4) + 2;
+            const y = height - 2 - value / best * (height - 4);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+    
+    downloadStatsHistory() {
+        try {
+            const blob = new Blob([this.statsHistory.serialize()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'tetris-stats.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Stats export error:', error);
+            this.showErrorMessage('Could not export stats');
+        }
+    }
+    
     safeUpdateElement(id, value) {
         try {
             const element = document.getElementById(id);
@@ -697,76 +7902,26 @@ class TetrisGame {
     }
     
     draw() {
+        if (this.editor) {
+            this.editor.render();
+            return;
+        }
+        
         try {
-            if (!this.ctx || !this.canvas) {
-                console.error('Canvas context not available');
-                return;
-            }
-            
-            // Validate canvas dimensions
-            if (this.canvas.width <= 0 || this.canvas.height <= 0) {
-                throw new Error('Invalid canvas dimensions');
-            }
-            
-            // Clear canvas
-            this.ctx.fillStyle = '#000';
-            this.ctx.fillRect(0, 0, this.CONFIG.BOARD_WIDTH, this.CONFIG.BOARD_HEIGHT);
-            
-            // Draw board
-            this.drawBoard();
-            
-            // Draw current piece
-            if (this.gameState.currentPiece) {
-                this.drawPiece(this.gameState.currentPiece);
+            let alpha = 1;
+            if (this.player) {
+                alpha = this.player.getInterpolation();
+            } else if (!this.gameState.gamePaused) {
+                alpha = this.accumulator / TICK_DURATION;
             }
+            this.renderer.hint = this.updateHint();
+            this.renderer.render(alpha);
         } catch (error) {
             this.handleGameError('Canvas drawing error', error);
         }
     }
     
-    drawBoard() {
-        for (let row = 0; row < this.CONFIG.BOARD_HEIGHT; row++) {
-            for (let col = 0; col < this.CONFIG.BOARD_WIDTH; col++) {
-                if (this.gameState.board[row][col]) {
-                    const colorIndex = this.gameState.board[row][col] - 1;
-                    if (colorIndex >= 0 && colorIndex < COLORS.length) {
-                        this.ctx.fillStyle = COLORS[colorIndex];
-                        this.ctx.fillRect(col, row, 1, 1);
-                        
-                        // Add border
-                        this.ctx.strokeStyle = '#fff';
-                        this.ctx.lineWidth = 0.05;
-                        this.ctx.strokeRect(col, row, 1, 1);
-                    }
-                }
-            }
-        }
-    }
-    
-    drawPiece(piece) {
-        if (!this.validatePiece(piece)) return;
-        
-        const { shape, x, y, shapeIndex } = piece;
-        
-        if (shapeIndex >= 0 && shapeIndex < COLORS.length) {
-            this.ctx.fillStyle = COLORS[shapeIndex];
-            
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col]) {
-                        this.ctx.fillRect(x + col, y + row, 1, 1);
-                        
-                        // Add border
-                        this.ctx.strokeStyle = '#fff';
-                        this.ctx.lineWidth = 0.05;
-                        this.ctx.strokeRect(x + col, y + row, 1, 1);
-                    }
-                }
-            }
-        }
-    }
-    
-    gameLoop(time = 0) {
+    gameLoop(time) {
         if (!this.gameState.gameRunning || this.gameState.gameOver) {
             this.animationId = null;
             return;
@@ -774,14 +7929,21 @@ class TetrisGame {
         
         try {
             const deltaTime = this.calculateDeltaTime(time);
+            this.gamepadInput.update();
             
-            if (!this.gameState.gamePaused) {
-                this.updateGameLogic(deltaTime);
-                this.updateInactivityTimer(deltaTime);
+            if (this.player) {
+                this.player.update(deltaTime);
+                this.updateReplayStatus();
+            } else if (!this.gameState.gamePaused) {
+                this.runFrames(deltaTime);
+                if (!this.demo) {
+                    this.updateInactivityTimer(deltaTime);
+                }
             }
             
+            this.updateTimer();
             this.draw();
-            
+        
         } catch (error) {
             this.handleGameError('Game loop error', error);
         }
@@ -789,21 +7951,21 @@ class TetrisGame {
         this.animationId = requestAnimationFrame(this.gameLoop.bind(this));
     }
     
-    calculateDeltaTime(time) {
-        const deltaTime = time - (this.lastTime || 0);
-        this.lastTime = time;
-        return deltaTime;
+    // Mirrors the guard at the top of gameLoop()
+    isLooping() {
+        return this.gameState.gameRunning && !this.gameState.gameOver;
     }
     
-    updateGameLogic(deltaTime) {
-        this.gameState.dropCounter += deltaTime;
-        
-        if (this.gameState.dropCounter > this.gameState.dropInterval) {
-            if (!this.movePiece(0, 1)) {
-                this.mergePiece();
-            }
-            this.gameState.dropCounter = 0;
+    calculateDeltaTime(time) {
+        // The loop is started by a direct call; timing begins with the first animation frame
+        if (time === undefined || this.lastTime === null) {
+            this.lastTime = time === undefined ? null : time;
+            return 0;
         }
+        
+        const deltaTime = time - this.lastTime;
+        this.lastTime = time;
+        return deltaTime;
     }
     
     updateInactivityTimer(deltaTime) {
@@ -815,9 +7977,19 @@ class TetrisGame {
     }
     
     pauseGame(inactivity = false) {
+        if (this.player) {
+            this.player.togglePause();
+            this.soundManager.setMusicPlaying(!this.player.paused);
+            this.updateReplayStatus();
+            return;
+        }
+        
         this.gameState.gamePaused = !this.gameState.gamePaused;
+        this.soundManager.setMusicPlaying(!this.gameState.gamePaused);
         
         if (this.gameState.gamePaused) {
+            this.saveGame();
+            
             const overlay = inactivity ? 
                 document.getElementById('inactivityOverlay') : 
                 document.getElementById('pauseOverlay');
@@ -832,6 +8004,10 @@ class TetrisGame {
             this.hideOverlay('pauseOverlay');
             this.hideOverlay('inactivityOverlay');
             this.gameState.inactivityTimer = 0;
+            
+            // Resume on a clean frame boundary; time spent paused is never simulated
+            this.accumulator = 0;
+            this.lastTime = null;
         }
     }
     
@@ -845,23 +8021,202 @@ class TetrisGame {
     endGame() {
         this.gameState.gameOver = true;
         this.gameState.gameRunning = false;
+        this.replay.finish(this.engine.state);
+        this.clearSavedGame();
+        this.soundManager.setMusicPlaying(false);
         
-        if (this.gameState.score > this.gameState.highScore) {
-            this.gameState.highScore = this.gameState.score;
-            this.saveHighScore(this.gameState.highScore);
+        const { score, lines, level, time, result } = this.engine.state;
+        const modeName = this.engine.CONFIG.MODE;
+        const mode = GAME_MODES[modeName];
+        this.soundManager.play(['topOut', 'failed'].includes(result) ? 'gameOver' : 'complete');
+        
+        // Demo games leave the leaderboard alone and start over on their own
+        if (this.demo) {
+            this.timers.push(setTimeout(() => this.startDemo(), AI_DEMO_RESTART_DELAY));
             this.updateDisplay();
+            return;
+        }
+        
+        this.showGameOverSections();
+        if (mode.puzzle) {
+            this.endPuzzle();
+            return;
+        }
+        
+        // Games from an edited position are practice, so they skip the leaderboard and history
+        const custom = this.engine.CONFIG.POSITION !== null;
+        if (!custom) {
+            try {
+                // Saved straight away under a placeholder so closing the page keeps the score
+                this.pendingEntry = this.leaderboard.add({
+                    score,
+                    lines,
+                    level,
+                    duration: time,
+                    mode: modeName,
+                    result
+                });
+            } catch (error) {
+                this.handleGameError('Leaderboard error', error);
+            }
+        }
+        
+        const summary = this.stats.summary();
+        if (!custom) {
+            try {
+                this.statsHistory.add(summary, { mode: modeName, result, score });
+            } catch (error) {
+                this.handleGameError('Stats history error', error);
+            }
+        }
+        
+        this.gameState.highScore = this.formatRecord(modeName);
+        this.updateDisplay();
+        
+        const titles = { topOut: 'Game Over!', timeUp: 'Time\'s Up!', complete: mode.name + ' Complete!' };
+        this.safeUpdateElement('gameOverTitle', titles[result]);
+        this.safeUpdateElement('finalScore', score);
+        this.safeUpdateElement('finalDetails', (custom ? 'Custom board · ' : '') + 'Lines ' + lines +
+            ' · Level ' + level + ' · Time ' + Leaderboard.formatDuration(time, mode.ranking === 'time'));
+        this.renderLeaderboard();
+        this.renderStatsSummary(summary);
+        this.drawStatsChart(modeName);
+        this.showNameEntry();
+        const overlay = document.getElementById('gameOverOverlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+        }
+    }
+    
+    // Puzzles and edited positions aren't ranked or charted; their results screen offers the
+    // next puzzle or a return to the editor instead
+    showGameOverSections() {
+        const { PUZZLE, POSITION } = this.engine.CONFIG;
+        const ranked = !PUZZLE && !POSITION;
+        const next = PUZZLE && this.engine.state.result === 'complete' && this.puzzles.getNext(PUZZLE.id);
+        const show = (id, display) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.style.display = display;
+            }
+        };
+        show('leaderboardTable', ranked ? '' : 'none');
+        show('statsHistory', ranked ? '' : 'none');
+        show('nextPuzzle', next ? 'inline-block' : 'none');
+        show('editBoard', POSITION ? 'inline-block' : 'none');
+    }
+    
+    // Records the attempt; a topped-out puzzle counts as failed
+    endPuzzle() {
+        const { score, result } = this.engine.state;
+        const level = this.engine.CONFIG.PUZZLE;
+        const solved = result === 'complete';
+        const summary = this.stats.summary();
+        
+        try {
+            this.puzzles.record(level.id, solved, summary.pieces);
+        } catch (error) {
+            this.handleGameError('Puzzle progress error', error);
         }
         
-        this.safeUpdateElement('finalScore', this.gameState.score);
+        this.gameState.highScore = this.formatRecord('puzzle');
+        this.updateDisplay();
+        
+        const outcomes = {
+            complete: 'Solved with ' + summary.pieces + (summary.pieces === 1 ? ' piece' : ' pieces'),
+            failed: 'Out of pieces',
+            topOut: 'Topped out'
+        };
+        this.safeUpdateElement('gameOverTitle', solved ? 'Puzzle Solved!' : 'Puzzle Failed');
+        this.safeUpdateElement('finalScore', score);
+        this.safeUpdateElement('finalDetails', level.name + ' · ' + PuzzleLevel.describeGoal(level) + ' · ' +
+            outcomes[result] + ' · Attempt ' + this.puzzles.getProgress(level.id).attempts);
+        this.renderStatsSummary(summary);
+        this.showNameEntry();
         const overlay = document.getElementById('gameOverOverlay');
         if (overlay) {
             overlay.style.display = 'flex';
         }
     }
     
+    isEnteringName() {
+        return this.pendingEntry !== null;
+    }
+    
+    showNameEntry() {
+        const form = document.getElementById('nameEntry');
+        if (!form) return;
+        
+        form.style.display = this.isEnteringName() ? 'block' : 'none';
+        const input = document.getElementById('playerName');
+        if (input && this.isEnteringName()) {
+            input.value = '';
+            input.focus();
+        }
+    }
+    
+    submitName(name) {
+        if (!this.isEnteringName()) return;
+        
+        try {
+            this.leaderboard.rename(this.pendingEntry, name);
+        } catch (error) {
+            this.showErrorMessage(error.message);
+            return;
+        }
+        
+        this.pendingEntry = null;
+        this.showNameEntry();
+        this.renderLeaderboard();
+    }
+    
+    renderLeaderboard() {
+        const table = document.getElementById('leaderboard');
+        if (!table) return;
+        
+        table.textContent = '';
+        const mode = this.engine.CONFIG.MODE;
+        const entries = this.leaderboard.getEntries(mode);
+        this.safeUpdateElement('leaderboardTitle', GAME_MODES[mode].name + ' Top ' + LEADERBOARD_SIZE);
+        
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (entry === this.pendingEntry) {
+                row.className = 'leaderboard-current';
+            }
+            
+            [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.lines,
+                entry.level,
+                Leaderboard.formatDuration(entry.duration, GAME_MODES[mode].ranking === 'time'),
+                entry.date === null ? '' : new Date(entry.date).toLocaleDateString()
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = String(value);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+    
     restart() {
         this.cleanup();
+        this.stopEditor();
+        this.stopPlayback();
+        this.demo = null;
+        this.pendingEntry = null;
+        this.savedGame = null;
+        this.modeSelection = null;
+        this.hideOverlay('resumeOverlay');
+        this.hideOverlay('modeOverlay');
+        this.clearSavedGame();
         this.gameState = this.createInitialGameState();
+        this.engine.reset(SeededRandom.createSeed());
+        this.stats.reset();
+        this.accumulator = 0;
         this.errorCount = 0;
         this.criticalErrors = [];
         
@@ -870,10 +8225,13 @@ class TetrisGame {
         this.hideOverlay('pauseOverlay');
         this.hideOverlay('inactivityOverlay');
         
-        this.inputHandler.reset();
+        // cleanup() detached the keyboard listeners
+        this.inputHandler = new InputHandler(this);
         this.updateDisplay();
-        this.spawnPiece();
+        this.startRecording();
+        this.engine.start();
         this.gameState.gameRunning = true;
+        this.startMusic();
         this.gameLoop();
     }
     
@@ -967,8 +8325,8 @@ class TetrisGame {
         try {
             switch (context) {
                 case 'Collision detection error':
-                    if (!this.gameState.currentPiece) {
-                        this.spawnPiece();
+                    if (!this.engine.state.currentPiece) {
+                        this.engine.spawnPiece();
                     }
                     break;
                 case 'Canvas drawing error':
@@ -978,8 +8336,8 @@ class TetrisGame {
                     this.inputHandler.reset();
                     break;
                 case 'Piece spawning error':
-                    this.gameState.currentPiece = null;
-                    this.spawnPiece();
+                    this.engine.state.currentPiece = null;
+                    this.engine.spawnPiece();
                     break;
                 default:
                     this.validateAndFixGameState();
@@ -990,22 +8348,7 @@ class TetrisGame {
     }
     
     validateAndFixGameState() {
-        // Validate and fix board
-        if (!Array.isArray(this.gameState.board) || 
-            this.gameState.board.length !== this.CONFIG.BOARD_HEIGHT) {
-            this.gameState.board = this.createBoard();
-        }
-        
-        // Validate current piece
-        if (this.gameState.currentPiece && !this.validatePiece(this.gameState.currentPiece)) {
-            this.spawnPiece();
-        }
-        
-        // Validate numeric values
-        this.gameState.score = Math.max(0, Math.floor(this.gameState.score || 0));
-        this.gameState.level = Math.max(1, Math.min(this.CONFIG.MAX_LEVEL, Math.floor(this.gameState.level || 1)));
-        this.gameState.lines = Math.max(0, Math.floor(this.gameState.lines || 0));
-        this.gameState.dropInterval = Math.max(100, Math.floor(this.gameState.dropInterval || 1000));
+        this.engine.validateAndFixState();
     }
     
     showErrorMessage(message) {
@@ -1025,50 +8368,167 @@ class TetrisGame {
     
     getGameStateSnapshot() {
         return {
-            score: this.gameState.score,
-            level: this.gameState.level,
-            lines: this.gameState.lines,
+            score: this.engine.state.score,
+            level: this.engine.state.level,
+            lines: this.engine.state.lines,
             gameRunning: this.gameState.gameRunning,
             gamePaused: this.gameState.gamePaused,
             gameOver: this.gameState.gameOver,
+            nextPieces: this.engine.pieceQueue.peek(),
+            heldPiece: this.engine.state.heldPiece,
+            canHold: this.engine.state.canHold,
+            combo: this.engine.state.combo,
+            backToBack: this.engine.state.backToBack,
             errorCount: this.errorCount,
             performanceMetrics: { ...this.performanceMetrics }
         };
     }
     
     // Safe localStorage operations
-    loadHighScore() {
+    // Suspend and resume: the game in progress is kept in localStorage until it ends
+    saveGame() {
+        if (this.player || this.demo || this.savedGame || !this.gameState.gameRunning || this.gameState.gameOver) {
+            return;
+        }
+        // A game that hasn't started yet has nothing worth resuming
+        if (this.engine.state.frame === 0) return;
+        
+        // Like saving a replay mid-game: it covers the frames played so far
+        this.replay.finish(this.engine.state);
+        
+        try {
+            localStorage.setItem('tetrisSavedGame', JSON.stringify({
+                version: SAVE_VERSION,
+                savedAt: Date.now(),
+                config: this.engine.options,
+                engine: this.engine.snapshot(),
+                stats: this.stats.snapshot(),
+                replay: this.replay.serialize()
+            }));
+        } catch (error) {
+            console.error('LocalStorage write error:', error);
+        }
+    }
+    
+    loadSavedGame() {
         try {
-            const stored = localStorage.getItem('tetrisHighScore');
-            if (stored === null) return 0;
+            const stored = localStorage.getItem('tetrisSavedGame');
+            if (stored === null) return null;
             
-            const score = parseInt(stored, 10);
-            if (isNaN(score) || score < 0 || score > 999999999) {
-                console.warn('Invalid high score in storage, resetting');
-                localStorage.removeItem('tetrisHighScore');
-                return 0;
+            const data = JSON.parse(stored);
+            if (!this.isValidSave(data)) {
+                console.warn('Invalid saved game in storage, resetting');
+                localStorage.removeItem('tetrisSavedGame');
+                return null;
             }
             
-            return score;
+            return data;
         } catch (error) {
             console.error('LocalStorage read error:', error);
-            return 0;
+            return null;
         }
     }
     
-    saveHighScore(score) {
+    isValidSave(data) {
+        if (!data || typeof data !== 'object' || data.version !== SAVE_VERSION) return false;
+        
+        // A save made under other settings would continue with different rules; the mode may differ
+        if (!data.config || typeof data.config !== 'object') return false;
+        const expected = this.engineConfig(data.config.mode, data.config);
+        if (JSON.stringify(data.config) !== JSON.stringify(expected)) return false;
+        
         try {
-            if (typeof score !== 'number' || score < 0 || score > 999999999) {
-                throw new Error('Invalid score value: ' + score);
-            }
+            // Restoring into a scratch engine runs the full validation without touching this game
+            const engine = new TetrisEngine({ ...expected, seed: 0 });
+            engine.restore(data.engine);
+            
+            // Saves from before stats were kept resume with fresh stats
+            if (data.stats !== undefined && GameStats.validate(data.stats).length > 0) return false;
             
-            const sanitizedScore = Math.floor(score);
-            localStorage.setItem('tetrisHighScore', sanitizedScore.toString());
+            const replay = Replay.parse(data.replay);
+            return replay.seed === data.engine.seed && replay.frames === data.engine.state.frame;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    clearSavedGame() {
+        try {
+            localStorage.removeItem('tetrisSavedGame');
         } catch (error) {
             console.error('LocalStorage write error:', error);
         }
     }
     
+    hasResumeOffer() {
+        return this.savedGame !== null;
+    }
+    
+    // Holds the fresh game paused behind the resume prompt; returns whether there was one
+    offerSavedGame() {
+        const saved = this.loadSavedGame();
+        if (!saved) return false;
+        
+        this.savedGame = saved;
+        this.gameState.gamePaused = true;
+        this.soundManager.setMusicPlaying(false);
+        
+        const { score, level, lines } = saved.engine.state;
+        const name = saved.config.puzzle ? saved.config.puzzle.name :
+            GAME_MODES[saved.config.mode].name + (saved.config.position ? ' · Custom board' : '');
+        this.safeUpdateElement('resumeSummary', name + ' · Score ' + score +
+            ' · Level ' + level + ' · Lines ' + lines);
+        const overlay = document.getElementById('resumeOverlay');
+        if (overlay) {
+            overlay.style.display = 'flex';
+        }
+        return true;
+    }
+    
+    resumeSavedGame() {
+        const saved = this.savedGame;
+        if (!saved) return;
+        
+        this.savedGame = null;
+        this.hideOverlay('resumeOverlay');
+        
+        try {
+            if (JSON.stringify(saved.config) !== JSON.stringify(this.engine.options)) {
+                this.useEngine(new TetrisEngine(this.engineConfig(saved.config.mode, saved.config)));
+            }
+            this.engine.restore(saved.engine);
+            this.replay = Replay.parse(saved.replay);
+            if (saved.stats) {
+                this.stats.restore(saved.stats);
+            } else {
+                this.stats.reset();
+            }
+        } catch (error) {
+            this.showErrorMessage('Could not resume the saved game: ' + error.message);
+            this.restart();
+            return;
+        }
+        
+        // No keys are down after a reload
+        this.resetInputs();
+        this.gameState.gamePaused = false;
+        this.gameState.inactivityTimer = 0;
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.updateDisplay();
+        this.startMusic();
+    }
+    
+    // The fresh game stays paused behind the start menu
+    discardSavedGame() {
+        if (!this.savedGame) return;
+        
+        this.savedGame = null;
+        this.clearSavedGame();
+        this.hideOverlay('resumeOverlay');
+        this.openModeMenu();
+    }
+    
     // Memory management
     cleanup() {
         // Cancel animation frame
@@ -1089,45 +8549,88 @@ class TetrisGame {
             this.inputHandler.cleanup();
         }
         
-        // Clear game state references
-        this.gameState.board = null;
-        this.gameState.currentPiece = null;
+        // Drop queued input so it can't leak into the next game
+        this.pendingInputs = [];
+        this.lastTime = null;
     }
 }
 
 // Game initialization with comprehensive error handling
-window.addEventListener('load', () => {
-    try {
-        window.tetrisGame = new TetrisGame();
-        console.log('Tetris game initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize Tetris game:', error);
-        
-        // Show user-friendly error message
-        const errorMessage = document.createElement('div');
-        errorMessage.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: #ff4444;
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            text-align: center;
-            z-index: 10000;
-            font-family: Arial, sans-serif;
-        `;
-        errorMessage.innerHTML = `
-            <h2>Game Loading Error</h2>
-            <p>Unable to start the game: ${error.message}</p>
-            <p>Please refresh the page to try again.</p>
-        `;
-        document.body.appendChild(errorMessage);
-    }
-});
+// Skipped outside the browser so the engine can be required from Node
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        try {
+            window.tetrisGame = new TetrisGame();
+            console.log('Tetris game initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize Tetris game:', error);
+            
+            // Show user-friendly error message
+            const errorMessage = document.createElement('div');
+            errorMessage.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: #ff4444;
+                color: white;
+                padding: 20px;
+                border-radius: 10px;
+                text-align: center;
+                z-index: 10000;
+                font-family: Arial, sans-serif;
+            `;
+            errorMessage.innerHTML = `
+                <h2>Game Loading Error</h2>
+                <p>Unable to start the game: ${error.message}</p>
+                <p>Please refresh the page to try again.</p>
+            `;
+            document.body.appendChild(errorMessage);
+        }
+    });
+}
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TetrisGame, SecurityValidator, InputHandler };
+    module.exports = {
+        TetrisGame,
+        TetrisEngine,
+        CanvasRenderer,
+        SeededRandom,
+        Replay,
+        ReplayPlayer,
+        SecurityValidator,
+        ValidationError,
+        InputHandler,
+        GamepadInput,
+        TouchInput,
+        Leaderboard,
+        PuzzleLevel,
+        BoardCodec,
+        PuzzleManager,
+        SoundManager,
+        ThemeManager,
+        KeyBindings,
+        ControlsProfiles,
+        ControlsMenu,
+        PieceQueue,
+        RotationSystem,
+        ScoringEngine,
+        VersusMatch,
+        VersusGame,
+        GarbageQueue,
+        NetworkProtocol,
+        TetrisAI,
+        AIPlayer,
+        GameStats,
+        StatsHistory,
+        OnlineVersusGame,
+        SHAPES,
+        SRS_KICKS_JLSTZ,
+        SRS_KICKS_I,
+        RandomPieceGenerator,
+        BagPieceGenerator,
+        HistoryPieceGenerator,
+        ENGINE_ACTIONS
+    };
 }
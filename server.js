@@ -0,0 +1,387 @@
+// Online Versus Relay Server
+// Serves the game and relays versus messages between the two players of a room.
+// Node built-ins only: node server.js, then open http://localhost:8080
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Must match PROTOCOL_VERSION in script.js
+const PROTOCOL_VERSION = 1;
+const PORT = Number(process.env.PORT) || 8080;
+
+// Room codes skip I and O so they can't be misread as 1 and 0
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+const MAX_MESSAGE_SIZE = 16 * 1024;
+const PING_INTERVAL = 30000;
+const CLOSE_TIMEOUT = 5000;
+
+// Message types passed straight through to the opponent
+const RELAYED_TYPES = ['board', 'attack', 'topOut'];
+
+// RFC 6455 handshake constant
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+    '/style.css': ['style.css', 'text/css; charset=utf-8']
+};
+
+// WebSocket Connection Class
+// One client socket: frame parsing, text messages, ping/pong and close
+class WebSocketConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.alive = true;
+        this.room = null;
+
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        try {
+            let frame;
+            while (!this.closed && (frame = this.readFrame()) !== null) {
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            this.close(1002, error.message);
+        }
+    }
+
+    // Returns the next complete frame from the buffer, or null to wait for more data
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const first = this.buffer[0];
+        const second = this.buffer[1];
+        let length = second & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            const high = this.buffer.readUInt32BE(2);
+            if (high !== 0) {
+                throw new Error('Frame too large');
+            }
+            length = this.buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            throw new Error('Frame too large');
+        }
+        // Clients must mask every frame
+        if (!(second & 0x80)) {
+            throw new Error('Unmasked client frame');
+        }
+        if (this.buffer.length < offset + 4 + length) return null;
+
+        const mask = this.buffer.slice(offset, offset + 4);
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = this.buffer[offset + 4 + i] ^ mask[i % 4];
+        }
+        this.buffer = this.buffer.slice(offset + 4 + length);
+
+        return { fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        // Protocol messages are small, so fragmented messages are refused
+        if (!fin || opcode === 0x0) {
+            throw new Error('Fragmented frames are not supported');
+        }
+
+        switch (opcode) {
+            case 0x1:
+                this.onMessage(this, payload.toString('utf8'));
+                break;
+            case 0x8:
+                this.close(1000);
+                break;
+            case 0x9:
+                this.sendFrame(0xA, payload);
+                break;
+            case 0xA:
+                this.alive = true;
+                break;
+            default:
+                throw new Error('Unsupported opcode');
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(0, 2);
+            header.writeUInt32BE(payload.length, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify({ v: PROTOCOL_VERSION, ...message }), 'utf8'));
+    }
+
+    ping() {
+        this.alive = false;
+        this.sendFrame(0x9, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.closed = true;
+
+        // Destroying the socket straight away can drop the close frame, so it waits until
+        // the frame is flushed, or gives up on a peer that stops reading
+        const timeout = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+        this.socket.once('close', () => clearTimeout(timeout));
+        this.socket.end(() => this.socket.destroy());
+        this.onClose(this);
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose(this);
+    }
+}
+
+// Relay Server Class
+// Rooms hold up to two players; a full room starts a match with a shared seed
+class RelayServer {
+    constructor() {
+        this.rooms = new Map();
+        this.connections = new Set();
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+        this.pingInterval = null;
+    }
+
+    listen(port, callback) {
+        this.server.listen(port, callback);
+
+        // Connections that miss a whole ping interval are dropped
+        this.pingInterval = setInterval(() => {
+            this.connections.forEach(connection => {
+                if (!connection.alive) {
+                    connection.close(1001, 'Timed out');
+                    return;
+                }
+                connection.ping();
+            });
+        }, PING_INTERVAL);
+    }
+
+    close(callback) {
+        clearInterval(this.pingInterval);
+        this.connections.forEach(connection => connection.close(1001, 'Server shutting down'));
+        this.server.close(callback);
+    }
+
+    // Only the game's own files are served
+    handleRequest(request, response) {
+        const pathname = (request.url || '/').split('?')[0];
+        const file = STATIC_FILES[pathname];
+
+        if (request.method !== 'GET' || !file) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+
+        fs.readFile(path.join(__dirname, file[0]), (error, data) => {
+            if (error) {
+                response.writeHead(500, { 'Content-Type': 'text/plain' });
+                response.end('Could not read ' + file[0]);
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': file[1] });
+            response.end(data);
+        });
+    }
+
+    // head holds any bytes the client sent after the handshake, which can already be frames
+    handleUpgrade(request, socket, head = Buffer.alloc(0)) {
+        const key = request.headers['sec-websocket-key'];
+        const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Accept: ' + accept,
+            '', ''
+        ].join('\r\n'));
+
+        const connection = new WebSocketConnection(socket,
+            (from, text) => this.handleMessage(from, text),
+            (closed) => this.handleDisconnect(closed));
+        this.connections.add(connection);
+        if (head.length > 0) {
+            connection.handleData(head);
+        }
+    }
+
+    createRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            connection.send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        if (!message || typeof message !== 'object' || message.v !== PROTOCOL_VERSION) {
+            connection.send({ type: 'error', message: 'Unsupported protocol version' });
+            return;
+        }
+
+        if (message.type === 'join') {
+            this.join(connection, message.room);
+        } else if (message.type === 'rematch') {
+            this.requestRematch(connection);
+        } else if (RELAYED_TYPES.includes(message.type)) {
+            this.relay(connection, message);
+        } else {
+            connection.send({ type: 'error', message: 'Unknown message type' });
+        }
+    }
+
+    // No code creates a room; a code joins that room if it has a free seat
+    join(connection, code) {
+        if (connection.room) {
+            connection.send({ type: 'error', message: 'Already in a room' });
+            return;
+        }
+
+        let room;
+        if (code === undefined || code === null || code === '') {
+            room = { code: this.createRoomCode(), players: [], rematch: new Set() };
+            this.rooms.set(room.code, room);
+        } else {
+            room = typeof code === 'string' ? this.rooms.get(code.toUpperCase()) : undefined;
+            if (!room) {
+                connection.send({ type: 'error', message: 'Room not found' });
+                return;
+            }
+            if (room.players.length >= 2) {
+                connection.send({ type: 'error', message: 'Room is full' });
+                return;
+            }
+        }
+
+        room.players.push(connection);
+        connection.room = room;
+        connection.send({ type: 'joined', room: room.code, player: room.players.length - 1 });
+
+        if (room.players.length === 2) {
+            this.startMatch(room);
+        }
+    }
+
+    startMatch(room) {
+        room.rematch.clear();
+        const seed = crypto.randomInt(0x100000000);
+        room.players.forEach(player => player.send({ type: 'start', seed }));
+    }
+
+    requestRematch(connection) {
+        const room = connection.room;
+        if (!room || room.players.length < 2) return;
+
+        room.rematch.add(connection);
+        if (room.rematch.size === 2) {
+            this.startMatch(room);
+        }
+    }
+
+    relay(connection, message) {
+        const room = connection.room;
+        if (!room) {
+            connection.send({ type: 'error', message: 'Join a room first' });
+            return;
+        }
+
+        room.players
+            .filter(player => player !== connection)
+            .forEach(player => player.send(message));
+    }
+
+    handleDisconnect(connection) {
+        this.connections.delete(connection);
+
+        const room = connection.room;
+        if (!room) return;
+
+        connection.room = null;
+        room.players = room.players.filter(player => player !== connection);
+        room.rematch.delete(connection);
+        room.players.forEach(player => player.send({ type: 'left' }));
+
+        if (room.players.length === 0) {
+            this.rooms.delete(room.code);
+        }
+    }
+}
+
+if (require.main === module) {
+    const relay = new RelayServer();
+    relay.listen(PORT, () => {
+        console.log('Tetris relay server running at http://localhost:' + PORT);
+    });
+}
+
+module.exports = { RelayServer, WebSocketConnection, PROTOCOL_VERSION };
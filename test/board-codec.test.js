@@ -0,0 +1,129 @@
+// Board and position code tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { BoardCodec, ValidationError } = require('../script.js');
+
+const WIDTH = 12;
+const HEIGHT = 20;
+const GARBAGE = 8;
+
+function emptyBoard() {
+    return Array.from({ length: HEIGHT }, () => Array(WIDTH).fill(0));
+}
+
+// Every cell value from empty to garbage, shifted a column on each row
+function patternBoard() {
+    return Array.from({ length: HEIGHT }, (_, row) =>
+        Array.from({ length: WIDTH }, (_, col) => (row + col) % 9));
+}
+
+// Garbage rows with one hole each, under a few loose pieces
+function garbageBoard() {
+    const board = emptyBoard();
+    for (let row = HEIGHT - 8; row < HEIGHT; row++) {
+        board[row].fill(GARBAGE);
+        board[row][(row * 5) % WIDTH] = 0;
+    }
+    board[HEIGHT - 9][0] = 1;
+    board[HEIGHT - 9][1] = 7;
+    board[HEIGHT - 10][1] = 7;
+    return board;
+}
+
+const boards = { empty: emptyBoard(), pattern: patternBoard(), garbage: garbageBoard() };
+
+Object.entries(boards).forEach(([name, board]) => {
+    test('the ' + name + ' board survives a round trip', () => {
+        const code = BoardCodec.encode(board);
+        assert.deepStrictEqual(BoardCodec.validate(code, WIDTH, HEIGHT), []);
+        assert.deepStrictEqual(BoardCodec.decode(code, WIDTH, HEIGHT), board);
+    });
+});
+
+test('runs of the same cell are counted', () => {
+    assert.strictEqual(BoardCodec.encode(emptyBoard()), '12x20-240.');
+    
+    const board = emptyBoard();
+    board[HEIGHT - 1].fill(GARBAGE, 1);
+    assert.strictEqual(BoardCodec.encode(board), '12x20-229.11G');
+});
+
+test('positions survive a round trip', () => {
+    const positions = [
+        { board: emptyBoard(), pieces: 'T', hold: null },
+        { board: garbageBoard(), pieces: 'TJLOSZI', hold: 'I' },
+        { board: garbageBoard(), pieces: 'I'.repeat(50), hold: null }
+    ];
+    
+    positions.forEach(position => {
+        const code = BoardCodec.encodePosition(position);
+        assert.deepStrictEqual(BoardCodec.validatePosition(code, WIDTH, HEIGHT), []);
+        assert.deepStrictEqual(BoardCodec.decodePosition(code, WIDTH, HEIGHT), position);
+    });
+});
+
+test('the README example decodes', () => {
+    const position = BoardCodec.decodePosition('12x20-216.T11.4G.7G-TIO-I', WIDTH, HEIGHT);
+    
+    assert.strictEqual(position.pieces, 'TIO');
+    assert.strictEqual(position.hold, 'I');
+    assert.deepStrictEqual(position.board[HEIGHT - 3], Array(WIDTH).fill(0));
+    assert.deepStrictEqual(position.board[HEIGHT - 2], [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    assert.deepStrictEqual(position.board[HEIGHT - 1], [8, 8, 8, 8, 0, 8, 8, 8, 8, 8, 8, 8]);
+});
+
+test('malformed board codes are rejected', () => {
+    const codes = {
+        'wrong width': '10x20-200.',
+        'wrong height': '12x22-264.',
+        'too few cells': '12x20-239.',
+        'too many cells': '12x20-240.G',
+        'a run past the board': '12x20-99999999999.',
+        'a zero count': '12x20-0.240.',
+        'an unknown cell': '12x20-239.X',
+        'no cells': '12x20-',
+        'not a code': 'hello',
+        'not a string': 240
+    };
+    
+    Object.entries(codes).forEach(([problem, code]) => {
+        assert.strictEqual(BoardCodec.validate(code, WIDTH, HEIGHT).length, 1, problem);
+        assert.throws(() => BoardCodec.decode(code, WIDTH, HEIGHT), ValidationError, problem);
+    });
+});
+
+test('malformed position codes are rejected', () => {
+    const board = BoardCodec.encode(garbageBoard());
+    const fullRow = emptyBoard();
+    fullRow[HEIGHT - 1].fill(GARBAGE);
+    
+    const codes = {
+        'wrong dimensions': '10x20-200.-T-',
+        'a board that overflows': '12x20-241.-T-',
+        'a board that underflows': '12x20-239.-T-',
+        'a full row': BoardCodec.encode(fullRow) + '-T-',
+        'no pieces': board + '--',
+        'an unknown piece': board + '-TQO-',
+        'a lowercase piece': board + '-tio-',
+        'too many pieces': board + '-' + 'T'.repeat(51) + '-',
+        'an unknown hold': board + '-T-Q',
+        'two held pieces': board + '-T-IO',
+        'a missing hold': board + '-T',
+        'an extra part': board + '-T-I-O',
+        'a bare board': board
+    };
+    
+    Object.entries(codes).forEach(([problem, code]) => {
+        assert.ok(BoardCodec.validatePosition(code, WIDTH, HEIGHT).length > 0, problem);
+        assert.throws(() => BoardCodec.decodePosition(code, WIDTH, HEIGHT), ValidationError, problem);
+    });
+});
+
+test('errors name the problem', () => {
+    assert.throws(() => BoardCodec.decodePosition('10x20-200.-T-', WIDTH, HEIGHT),
+        /Board is 10 x 20, this game's board is 12 x 20/);
+    assert.throws(() => BoardCodec.decodePosition('12x20-228.12G-T-', WIDTH, HEIGHT),
+        /Board row 20 is already full/);
+    assert.throws(() => BoardCodec.decodePosition('12x20-240.-TX-Q', WIDTH, HEIGHT),
+        /Pieces must be 1-50 of: TJLOSZI, Hold must be empty or one of: TJLOSZI/);
+});
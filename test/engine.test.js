@@ -0,0 +1,200 @@
+// Engine tests: run with `npm test` (Node's built-in test runner, no dependencies)
+const test = require('node:test');
+const assert = require('node:assert');
+const { TetrisEngine, Replay, ReplayPlayer, ValidationError } = require('../script.js');
+
+const I_PIECE = 6;
+
+// Fills the bottom row except the columns the piece covers, so dropping it clears one line
+function prepareSingle(engine, shapeIndex = I_PIECE) {
+    engine.spawnPiece(shapeIndex);
+    const { shape, x } = engine.state.currentPiece;
+    const columns = new Set();
+    shape.forEach(row => row.forEach((cell, col) => {
+        if (cell) columns.add(x + col);
+    }));
+    
+    const bottom = engine.state.board[engine.CONFIG.BOARD_HEIGHT - 1];
+    bottom.forEach((cell, col) => {
+        bottom[col] = columns.has(col) ? 0 : 8;
+    });
+}
+
+function play(engine, frames) {
+    for (let frame = 0; frame < frames; frame++) {
+        const inputs = [];
+        if (frame % 7 === 0) inputs.push({ action: 'rotateCW' });
+        if (frame % 11 === 0) inputs.push({ action: frame % 22 === 0 ? 'moveLeft' : 'moveRight' });
+        if (frame % 30 === 29) inputs.push({ action: 'hardDrop' });
+        engine.tick(inputs);
+    }
+}
+
+test('the same seed and inputs give the same game', () => {
+    const first = new TetrisEngine({ seed: 42 });
+    const second = new TetrisEngine({ seed: 42 });
+    first.start();
+    second.start();
+    
+    play(first, 600);
+    play(second, 600);
+    
+    assert.ok(first.state.frame === 600 && first.state.board.some(row => row.some(cell => cell)));
+    assert.deepStrictEqual(first.state, second.state);
+    assert.deepStrictEqual(first.pieceQueue.peek(), second.pieceQueue.peek());
+});
+
+test('different seeds give different pieces', () => {
+    const first = new TetrisEngine({ seed: 1 });
+    const second = new TetrisEngine({ seed: 2 });
+    const pieces = engine => Array.from({ length: 14 }, () => engine.pieceQueue.next());
+    
+    assert.notDeepStrictEqual(pieces(first), pieces(second));
+});
+
+test('step advances gravity by elapsed time', () => {
+    const engine = new TetrisEngine();
+    engine.start();
+    const startY = engine.state.currentPiece.y;
+    
+    engine.step([], 999);
+    assert.strictEqual(engine.state.currentPiece.y, startY);
+    engine.step([], 1);
+    assert.strictEqual(engine.state.currentPiece.y, startY + 1);
+    engine.step([], 2500);
+    assert.strictEqual(engine.state.currentPiece.y, startY + 3);
+});
+
+test('pieces stop at the walls and the floor', () => {
+    const engine = new TetrisEngine();
+    engine.spawnPiece(I_PIECE);
+    const piece = engine.state.currentPiece;
+    
+    assert.strictEqual(engine.isCollision(piece), false);
+    assert.strictEqual(engine.isCollision(piece, -piece.x - 1, 0), true);
+    assert.strictEqual(engine.isCollision(piece, engine.CONFIG.BOARD_WIDTH, 0), true);
+    
+    while (engine.movePiece(-1, 0)) {
+        // Slide to the left wall
+    }
+    assert.strictEqual(engine.state.currentPiece.x, 0);
+    
+    while (engine.movePiece(0, 1)) {
+        // Fall to the floor
+    }
+    assert.strictEqual(engine.movePiece(0, 1), false);
+    assert.strictEqual(engine.state.currentPiece.y + 1, engine.CONFIG.BOARD_HEIGHT - 1);
+});
+
+test('pieces stop on occupied cells', () => {
+    const engine = new TetrisEngine();
+    engine.spawnPiece(I_PIECE);
+    const { x, y } = engine.state.currentPiece;
+    
+    // The I piece lies in the second row of its box; block the cell under its left end
+    engine.state.board[y + 5][x] = 8;
+    assert.strictEqual(engine.isCollision(engine.state.currentPiece, 0, 3), false);
+    assert.strictEqual(engine.isCollision(engine.state.currentPiece, 0, 4), true);
+    
+    engine.hardDrop();
+    assert.deepStrictEqual(engine.state.board[y + 4].slice(x, x + 4), [7, 7, 7, 7]);
+});
+
+test('a full row clears and the rows above fall', () => {
+    const engine = new TetrisEngine();
+    const height = engine.CONFIG.BOARD_HEIGHT;
+    engine.state.board[height - 2][0] = 8;
+    prepareSingle(engine);
+    
+    const clears = [];
+    engine.on('clear', event => clears.push(event));
+    engine.hardDrop();
+    
+    assert.strictEqual(clears.length, 1);
+    assert.strictEqual(clears[0].linesCleared, 1);
+    assert.strictEqual(engine.state.lines, 1);
+    assert.strictEqual(engine.state.board[height - 1][0], 8);
+    assert.ok(engine.state.board.slice(0, height - 1).every(row => row.every(cell => cell === 0)));
+});
+
+test('a single scores 100 per level plus 2 per hard-dropped cell', () => {
+    const engine = new TetrisEngine();
+    engine.state.level = 3;
+    // A leftover cell keeps this from being a perfect clear
+    engine.state.board[engine.CONFIG.BOARD_HEIGHT - 2][0] = 8;
+    prepareSingle(engine);
+    
+    const distance = engine.getDropDistance(engine.state.currentPiece);
+    engine.hardDrop();
+    
+    assert.ok(distance > 0);
+    assert.strictEqual(engine.state.score, 100 * 3 + 2 * distance);
+});
+
+test('soft drop scores a point per cell', () => {
+    const engine = new TetrisEngine();
+    engine.start();
+    
+    engine.applyInput({ action: 'softDrop' });
+    engine.applyInput({ action: 'softDrop' });
+    assert.strictEqual(engine.state.score, 2);
+});
+
+test('every 10 lines raise the level and the speed', () => {
+    const engine = new TetrisEngine();
+    const levels = [];
+    engine.on('clear', ({ levelUp }) => levels.push(levelUp));
+    
+    for (let line = 0; line < 10; line++) {
+        prepareSingle(engine);
+        engine.hardDrop();
+    }
+    
+    assert.strictEqual(engine.state.lines, 10);
+    assert.strictEqual(engine.state.level, 2);
+    assert.strictEqual(engine.state.dropInterval, 950);
+    assert.deepStrictEqual(levels, [...Array(9).fill(false), true]);
+});
+
+test('the level stops at maxLevel', () => {
+    const engine = new TetrisEngine({ maxLevel: 2 });
+    engine.state.lines = 29;
+    prepareSingle(engine);
+    engine.hardDrop();
+    
+    assert.strictEqual(engine.state.level, 2);
+});
+
+test('out-of-range settings are rejected', () => {
+    assert.throws(() => new TetrisEngine({ boardWidth: 100 }), ValidationError);
+    assert.throws(() => new TetrisEngine({ seed: -1 }), ValidationError);
+});
+
+test('settings of the wrong type are rejected', () => {
+    const bad = [
+        { boardWidth: 'abc' },
+        { boardHeight: '5' },
+        { boardWidth: 10.5 },
+        { maxLevel: 'zz' },
+        { previewCount: '3' },
+        { das: 'x' },
+        { arr: null },
+        { softDropFactor: [20] },
+        { lockDelay: Infinity },
+        { lockResetLimit: 1.5 },
+        { entryDelay: '10' },
+        { lineClearDelay: {} },
+        { allow180: 'yes' },
+        { pieceGenerator: 'constructor' },
+        { rotationSystem: ['srs'] },
+        { mode: 1 }
+    ];
+    bad.forEach(config => {
+        assert.throws(() => new TetrisEngine(config), ValidationError, JSON.stringify(config));
+    });
+});
+
+test('a replay with bad settings does not play', () => {
+    const replay = Replay.parse(new Replay({ seed: 1, config: { boardWidth: 'abc' } }).serialize());
+    assert.throws(() => new ReplayPlayer(replay), /Board width must be a whole number/);
+});
@@ -0,0 +1,138 @@
+// Gamepad tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Per-controller bindings are kept in localStorage
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { GamepadInput } = require('../script.js');
+
+// A Gamepad API pad with the standard 17 buttons and two sticks
+function createPad(index, id) {
+    return {
+        index,
+        id,
+        connected: true,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false })),
+        axes: [0, 0, 0, 0],
+        press(button, pressed = true) {
+            this.buttons[button].pressed = pressed;
+        }
+    };
+}
+
+// Records the actions the game would simulate; presses come through its input handler
+function createGame() {
+    const game = {
+        inputs: [],
+        controlsMenu: { isOpen: () => false, refreshDevices() {} },
+        queueInput(action, down) {
+            game.inputs.push([action, down]);
+        }
+    };
+    game.inputHandler = { handleAction: action => game.queueInput(action, true) };
+    return game;
+}
+
+function setup(...pads) {
+    storage.clear();
+    const connected = [...pads];
+    const game = createGame();
+    const gamepad = new GamepadInput(game, () => connected);
+    return { game, gamepad, connected };
+}
+
+test('presses and releases reach the game', () => {
+    const pad = createPad(0, 'Pad A');
+    const { game, gamepad } = setup(pad);
+    
+    pad.press(14);
+    gamepad.poll();
+    gamepad.poll();
+    pad.press(14, false);
+    gamepad.poll();
+    pad.press(12);
+    gamepad.poll();
+    
+    // Only changes since the last poll count, so a held button is pressed once
+    assert.deepStrictEqual(game.inputs, [['moveLeft', true], ['moveLeft', false], ['hardDrop', true]]);
+});
+
+test('the left stick moves and soft drops', () => {
+    const pad = createPad(0, 'Pad A');
+    const { game, gamepad } = setup(pad);
+    
+    pad.axes = [0.9, 0.9];
+    gamepad.poll();
+    pad.axes = [0, 0];
+    gamepad.poll();
+    
+    assert.deepStrictEqual(game.inputs,
+        [['moveRight', true], ['softDrop', true], ['moveRight', false], ['softDrop', false]]);
+});
+
+test('a held action stays down while another bound button holds it', () => {
+    const pad = createPad(0, 'Pad A');
+    const { game, gamepad } = setup(pad);
+    gamepad.getBindings('Pad A').bind('moveLeft', 'Button2');
+    
+    pad.press(14);
+    pad.press(2);
+    gamepad.poll();
+    pad.press(14, false);
+    gamepad.poll();
+    pad.press(2, false);
+    gamepad.poll();
+    
+    assert.deepStrictEqual(game.inputs, [['moveLeft', true], ['moveLeft', true], ['moveLeft', false]]);
+});
+
+test('each controller model keeps its own bindings', () => {
+    const first = createPad(0, 'Pad A');
+    const second = createPad(1, 'Pad B');
+    const { game, gamepad } = setup(first, second);
+    gamepad.getBindings('Pad B').bind('hardDrop', 'Button0');
+    gamepad.commitBindings('Pad B');
+    
+    first.press(0);
+    second.press(0);
+    gamepad.poll();
+    assert.deepStrictEqual(game.inputs, [['rotateCCW', true], ['hardDrop', true]]);
+    
+    // Saved remaps apply to the same model after a reload
+    const reloaded = new GamepadInput(createGame(), () => [second]);
+    assert.strictEqual(reloaded.getBindings('Pad B').getAction('Button0'), 'hardDrop');
+    assert.strictEqual(reloaded.getBindings('Pad A').getAction('Button0'), 'rotateCCW');
+});
+
+test('unplugging a controller releases what it held', () => {
+    const first = createPad(0, 'Pad A');
+    const second = createPad(1, 'Pad B');
+    const { game, gamepad, connected } = setup(first, second);
+    
+    first.press(15);
+    second.press(13);
+    gamepad.poll();
+    connected.splice(0, 1);
+    gamepad.poll();
+    
+    assert.deepStrictEqual(game.inputs, [['moveRight', true], ['softDrop', true], ['moveRight', false]]);
+});
+
+test('a disconnect event releases held actions before the next poll', () => {
+    const pad = createPad(0, 'Pad A');
+    const { game, gamepad, connected } = setup(pad);
+    
+    pad.press(13);
+    gamepad.poll();
+    connected.pop();
+    gamepad.handleDisconnected(pad);
+    gamepad.poll();
+    
+    assert.deepStrictEqual(game.inputs, [['softDrop', true], ['softDrop', false]]);
+});
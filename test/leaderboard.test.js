@@ -0,0 +1,76 @@
+// Leaderboard tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The leaderboard keeps its entries in localStorage
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { Leaderboard, ValidationError } = require('../script.js');
+
+function entry(score, name = 'ABC') {
+    return { name, score, lines: 10, level: 2, duration: 60000, mode: 'classic', date: 1 };
+}
+
+function store(entries) {
+    storage.set('tetrisLeaderboard', JSON.stringify({ version: 1, entries }));
+}
+
+test.beforeEach(() => storage.clear());
+
+test('games are ranked by score and only the top 10 are kept', () => {
+    const leaderboard = new Leaderboard();
+    [500, 300, 900, 100, 700, 200, 800, 400, 600, 1000, 50].forEach(score => {
+        leaderboard.add({ score, lines: 1, level: 1, duration: 1000 });
+    });
+    
+    const scores = leaderboard.getEntries().map(other => other.score);
+    assert.deepStrictEqual(scores, [1000, 900, 800, 700, 600, 500, 400, 300, 200, 100]);
+    assert.strictEqual(leaderboard.getHighScore(), 1000);
+    assert.strictEqual(leaderboard.add({ score: 100, lines: 1, level: 1, duration: 1000 }), null);
+    assert.deepStrictEqual(new Leaderboard().getEntries(), leaderboard.getEntries());
+});
+
+test('a stored leaderboard in rank order loads', () => {
+    store([entry(900), entry(900, 'XYZ'), entry(100)]);
+    
+    assert.strictEqual(new Leaderboard().getHighScore(), 900);
+    assert.strictEqual(new Leaderboard().getEntries().length, 3);
+});
+
+test('a stored leaderboard out of rank order is discarded', () => {
+    store([entry(100), entry(900)]);
+    
+    assert.deepStrictEqual(new Leaderboard().getEntries(), []);
+    assert.strictEqual(storage.has('tetrisLeaderboard'), false);
+});
+
+test('a stored leaderboard with more than 10 games in a mode is discarded', () => {
+    store(Array.from({ length: 11 }, (_, index) => entry(1000 - index)));
+    
+    assert.deepStrictEqual(new Leaderboard().getEntries(), []);
+});
+
+test('a stored Sprint leaderboard is ranked by time', () => {
+    const sprint = (score, duration) => ({ ...entry(score), mode: 'sprint', duration });
+    
+    store([sprint(100, 50000), sprint(900, 60000)]);
+    assert.strictEqual(new Leaderboard().getEntries('sprint').length, 2);
+    
+    store([sprint(900, 60000), sprint(100, 50000)]);
+    assert.deepStrictEqual(new Leaderboard().getEntries('sprint'), []);
+});
+
+test('initials must be short and safe to show', () => {
+    const leaderboard = new Leaderboard();
+    const added = leaderboard.add({ score: 100, lines: 1, level: 1, duration: 1000 });
+    
+    leaderboard.rename(added, 'abc');
+    assert.strictEqual(added.name, 'ABC');
+    assert.throws(() => leaderboard.rename(added, 'ABCD'), ValidationError);
+    assert.throws(() => leaderboard.rename(added, ''), ValidationError);
+});
@@ -0,0 +1,74 @@
+// Puzzle progress tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+
+// PuzzleManager keeps its puzzles and progress in localStorage
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { PuzzleManager, ValidationError } = require('../script.js');
+
+const WIDTH = 12;
+const HEIGHT = 20;
+
+function puzzleFile(...ids) {
+    return JSON.stringify({
+        version: 1,
+        puzzles: ids.map(id => ({
+            id,
+            name: 'Puzzle ' + id,
+            board: ['GGGGGGGGGGG.'],
+            pieces: 'IT',
+            goal: { type: 'lines', lines: 1 }
+        }))
+    });
+}
+
+test.beforeEach(() => storage.clear());
+
+test('a new puzzle has no progress', () => {
+    const puzzles = new PuzzleManager(WIDTH, HEIGHT);
+    puzzles.import(puzzleFile('my-puzzle'));
+    
+    assert.deepStrictEqual(puzzles.getProgress('my-puzzle'), { attempts: 0, solved: false, best: null });
+});
+
+test('attempts count up and the fewest pieces of a solve are kept', () => {
+    const puzzles = new PuzzleManager(WIDTH, HEIGHT);
+    puzzles.import(puzzleFile('my-puzzle'));
+    
+    puzzles.record('my-puzzle', false, 2);
+    puzzles.record('my-puzzle', true, 2);
+    puzzles.record('my-puzzle', true, 1);
+    puzzles.record('my-puzzle', true, 2);
+    
+    assert.deepStrictEqual(puzzles.getProgress('my-puzzle'), { attempts: 4, solved: true, best: 1 });
+    assert.deepStrictEqual(new PuzzleManager(WIDTH, HEIGHT).getProgress('my-puzzle'),
+        { attempts: 4, solved: true, best: 1 });
+});
+
+test('a puzzle named after an Object.prototype property keeps its own progress', () => {
+    const puzzles = new PuzzleManager(WIDTH, HEIGHT);
+    puzzles.import(puzzleFile('constructor'));
+    const total = puzzles.getLevels().length;
+    
+    assert.deepStrictEqual(puzzles.getProgress('constructor'), { attempts: 0, solved: false, best: null });
+    assert.strictEqual(puzzles.formatProgress(), '0 / ' + total);
+    
+    assert.deepStrictEqual(puzzles.record('constructor', true, 2), { attempts: 1, solved: true, best: 2 });
+    assert.strictEqual(puzzles.formatProgress(), '1 / ' + total);
+    
+    const reloaded = new PuzzleManager(WIDTH, HEIGHT);
+    assert.deepStrictEqual(reloaded.getProgress('constructor'), { attempts: 1, solved: true, best: 2 });
+});
+
+test('imported puzzles can not replace built-in ones', () => {
+    const puzzles = new PuzzleManager(WIDTH, HEIGHT);
+    
+    assert.throws(() => puzzles.import(puzzleFile('first-tetris')), ValidationError);
+    assert.throws(() => puzzles.import(puzzleFile('Bad Id')), ValidationError);
+});
@@ -0,0 +1,145 @@
+// Rotation tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { RotationSystem, TetrisEngine, SHAPES } = require('../script.js');
+
+const T_PIECE = 0;
+const O_PIECE = 3;
+const I_PIECE = 6;
+const JLSTZ = [0, 1, 2, 4, 5];
+const STATES = ['0', 'R', '2', 'L'];
+
+// Reference kick data from the SRS guideline (x right, y up), tried in order
+const REFERENCE_JLSTZ = {
+    '0R': [[0, 0], [-1, 0], [-1, +1], [0, -2], [-1, -2]],
+    'R0': [[0, 0], [+1, 0], [+1, -1], [0, +2], [+1, +2]],
+    'R2': [[0, 0], [+1, 0], [+1, -1], [0, +2], [+1, +2]],
+    '2R': [[0, 0], [-1, 0], [-1, +1], [0, -2], [-1, -2]],
+    '2L': [[0, 0], [+1, 0], [+1, +1], [0, -2], [+1, -2]],
+    'L2': [[0, 0], [-1, 0], [-1, -1], [0, +2], [-1, +2]],
+    'L0': [[0, 0], [-1, 0], [-1, -1], [0, +2], [-1, +2]],
+    '0L': [[0, 0], [+1, 0], [+1, +1], [0, -2], [+1, -2]]
+};
+
+const REFERENCE_I = {
+    '0R': [[0, 0], [-2, 0], [+1, 0], [-2, -1], [+1, +2]],
+    'R0': [[0, 0], [+2, 0], [-1, 0], [+2, +1], [-1, -2]],
+    'R2': [[0, 0], [-1, 0], [+2, 0], [-1, +2], [+2, -1]],
+    '2R': [[0, 0], [+1, 0], [-2, 0], [+1, -2], [-2, +1]],
+    '2L': [[0, 0], [+2, 0], [-1, 0], [+2, +1], [-1, -2]],
+    'L2': [[0, 0], [-2, 0], [+1, 0], [-2, -1], [+1, +2]],
+    'L0': [[0, 0], [+1, 0], [-2, 0], [+1, -2], [-2, +1]],
+    '0L': [[0, 0], [-1, 0], [+2, 0], [-1, +2], [+2, -1]]
+};
+
+// SRS has no 180 rotation; these are the SRS+ kicks
+const REFERENCE_180 = {
+    '02': [[0, 0], [0, +1], [+1, +1], [-1, +1], [+1, 0], [-1, 0]],
+    '20': [[0, 0], [0, -1], [-1, -1], [+1, -1], [-1, 0], [+1, 0]],
+    'RL': [[0, 0], [+1, 0], [+1, +2], [+1, +1], [0, +2], [0, +1]],
+    'LR': [[0, 0], [-1, 0], [-1, +2], [-1, +1], [0, +2], [0, +1]]
+};
+
+function eachTurn(reference, callback) {
+    Object.entries(reference).forEach(([key, kicks]) => {
+        callback(STATES.indexOf(key[0]), STATES.indexOf(key[1]), kicks, key);
+    });
+}
+
+test('J, L, S, T and Z use the SRS kick table', () => {
+    const srs = new RotationSystem('srs');
+    JLSTZ.forEach(shapeIndex => {
+        eachTurn(REFERENCE_JLSTZ, (from, to, kicks, key) => {
+            assert.deepStrictEqual(srs.getTableKicks(shapeIndex, from, to), kicks, key);
+        });
+    });
+});
+
+test('I uses its own SRS kick table', () => {
+    const srs = new RotationSystem('srs');
+    eachTurn(REFERENCE_I, (from, to, kicks, key) => {
+        assert.deepStrictEqual(srs.getTableKicks(I_PIECE, from, to), kicks, key);
+    });
+});
+
+test('180 rotations use the SRS+ kicks for every piece but O', () => {
+    const srs = new RotationSystem('srs');
+    [...JLSTZ, I_PIECE].forEach(shapeIndex => {
+        eachTurn(REFERENCE_180, (from, to, kicks, key) => {
+            assert.deepStrictEqual(srs.getTableKicks(shapeIndex, from, to), kicks, key);
+        });
+    });
+});
+
+test('kicks are turned into board coordinates with y down', () => {
+    const srs = new RotationSystem('srs');
+    const toBoard = kicks => kicks.map(([x, y]) => [x, y === 0 ? 0 : -y]);
+    
+    eachTurn(REFERENCE_JLSTZ, (from, to, kicks, key) => {
+        assert.deepStrictEqual(srs.getKicks(T_PIECE, from, to), toBoard(kicks), key);
+    });
+    eachTurn(REFERENCE_I, (from, to, kicks, key) => {
+        assert.deepStrictEqual(srs.getKicks(I_PIECE, from, to), toBoard(kicks), key);
+    });
+    eachTurn(REFERENCE_180, (from, to, kicks, key) => {
+        assert.deepStrictEqual(srs.getKicks(T_PIECE, from, to), toBoard(kicks), key);
+    });
+    
+    // The T-spin triple kick moves the piece one left and two rows down the board
+    assert.deepStrictEqual(srs.getKicks(T_PIECE, 0, 1)[4], [-1, 2]);
+});
+
+test('O pieces and classic rotation never kick', () => {
+    const srs = new RotationSystem('srs');
+    const classic = new RotationSystem('classic');
+    
+    eachTurn(REFERENCE_JLSTZ, (from, to) => {
+        assert.deepStrictEqual(srs.getKicks(O_PIECE, from, to), [[0, 0]]);
+        assert.deepStrictEqual(classic.getKicks(T_PIECE, from, to), [[0, 0]]);
+        assert.deepStrictEqual(classic.getKicks(I_PIECE, from, to), [[0, 0]]);
+    });
+    assert.throws(() => new RotationSystem('ars'));
+});
+
+test('an I piece at the left wall kicks out to rotate flat', () => {
+    const engine = new TetrisEngine();
+    engine.spawnPiece(I_PIECE);
+    engine.rotatePiece(-1);
+    while (engine.movePiece(-1, 0)) {
+        // Slide to the left wall
+    }
+    const { x, y } = engine.state.currentPiece;
+    assert.strictEqual(x, -1);
+    
+    assert.strictEqual(engine.rotatePiece(1), true);
+    const piece = engine.state.currentPiece;
+    assert.deepStrictEqual([piece.x, piece.y, piece.rotation], [x + 1, y, 0]);
+    assert.strictEqual(engine.state.lastRotation.kickIndex, 1);
+});
+
+test('a T piece takes the last kick into a T-spin triple', () => {
+    const engine = new TetrisEngine();
+    const board = engine.state.board;
+    const slot = 3;
+    
+    // The three bottom rows are full except for an upright T pointing right, under an overhang
+    for (let row = 17; row < 20; row++) {
+        board[row].fill(8);
+    }
+    [[slot + 1, 17], [slot + 1, 18], [slot + 2, 18], [slot + 1, 19]].forEach(([x, y]) => {
+        board[y][x] = 0;
+    });
+    board[15][slot + 1] = 8;
+    engine.state.currentPiece = { shape: SHAPES[T_PIECE][0], x: slot + 1, y: 15, shapeIndex: T_PIECE, rotation: 0 };
+    
+    const clears = [];
+    engine.on('clear', event => clears.push(event));
+    assert.strictEqual(engine.rotatePiece(1), true);
+    assert.strictEqual(engine.state.lastRotation.kickIndex, 4);
+    assert.deepStrictEqual([engine.state.currentPiece.x, engine.state.currentPiece.y], [slot, 17]);
+    
+    engine.hardDrop();
+    assert.strictEqual(clears[0].linesCleared, 3);
+    assert.strictEqual(clears[0].tSpin, 'full');
+    assert.strictEqual(engine.state.score, 1600);
+});
@@ -0,0 +1,273 @@
+// Relay server tests: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { RelayServer, WebSocketConnection, PROTOCOL_VERSION } = require('../server.js');
+
+// Records what the connection does to its socket; end() finishes when the test says so
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.ended = false;
+        this.destroyed = false;
+        this.finish = null;
+    }
+
+    write(data) {
+        this.written.push(data);
+    }
+
+    end(callback) {
+        this.ended = true;
+        this.finish = callback;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.emit('close');
+    }
+}
+
+test('close sends a close frame and waits for it to flush', () => {
+    const socket = new FakeSocket();
+    let closes = 0;
+    const connection = new WebSocketConnection(socket, () => {}, () => closes++);
+
+    connection.close(1001, 'bye');
+
+    assert.deepStrictEqual(socket.written, [Buffer.from([0x88, 5, 0x03, 0xE9, 0x62, 0x79, 0x65])]);
+    assert.strictEqual(socket.ended, true);
+    assert.strictEqual(socket.destroyed, false);
+    assert.strictEqual(closes, 1);
+
+    socket.finish();
+    assert.strictEqual(socket.destroyed, true);
+    assert.strictEqual(closes, 1);
+});
+
+test('nothing is sent after close', () => {
+    const socket = new FakeSocket();
+    const connection = new WebSocketConnection(socket, () => {}, () => {});
+
+    connection.close();
+    connection.send({ type: 'board' });
+    connection.close();
+
+    assert.strictEqual(socket.written.length, 1);
+    socket.finish();
+});
+
+test('a client close frame is answered before the socket closes', () => {
+    const socket = new FakeSocket();
+    const connection = new WebSocketConnection(socket, () => {}, () => {});
+
+    // Masked close frame with an empty payload, as browsers send it
+    socket.emit('data', Buffer.from([0x88, 0x80, 1, 2, 3, 4]));
+
+    assert.strictEqual(connection.closed, true);
+    assert.strictEqual(socket.written[0][0], 0x88);
+    assert.strictEqual(socket.destroyed, false);
+    socket.finish();
+});
+
+test('a dropped socket closes the connection once', () => {
+    const socket = new FakeSocket();
+    let closes = 0;
+    new WebSocketConnection(socket, () => {}, () => closes++);
+
+    socket.emit('error', new Error('reset'));
+    socket.emit('close');
+
+    assert.strictEqual(closes, 1);
+    assert.strictEqual(socket.destroyed, true);
+});
+
+// A masked text frame, as a browser sends it
+function clientFrame(message) {
+    const payload = Buffer.from(JSON.stringify(message));
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]);
+}
+
+// The JSON messages the server has written to a socket, oldest first
+function received(socket) {
+    return socket.written
+        .filter(data => Buffer.isBuffer(data) && data[0] === 0x81)
+        .map(data => JSON.parse(data.slice(data[1] === 126 ? 4 : 2).toString('utf8')));
+}
+
+function lastReceived(socket) {
+    const messages = received(socket);
+    return messages[messages.length - 1];
+}
+
+function connect(relay, head) {
+    const socket = new FakeSocket();
+    const request = {
+        headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', 'sec-websocket-version': '13' }
+    };
+    relay.handleUpgrade(request, socket, head);
+    socket.say = message => socket.emit('data', clientFrame({ v: PROTOCOL_VERSION, ...message }));
+    return socket;
+}
+
+// Two players in one room, with the start messages already sent
+function startRoom(relay) {
+    const host = connect(relay);
+    host.say({ type: 'join' });
+    const guest = connect(relay);
+    guest.say({ type: 'join', room: lastReceived(host).room });
+    return { host, guest, code: received(host)[0].room };
+}
+
+test('the upgrade answers the handshake', () => {
+    const socket = connect(new RelayServer());
+
+    assert.match(socket.written[0], /^HTTP\/1.1 101 Switching Protocols\r\n/);
+    assert.match(socket.written[0], /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+});
+
+test('frames sent with the handshake are not lost', () => {
+    const relay = new RelayServer();
+    const socket = connect(relay, clientFrame({ v: PROTOCOL_VERSION, type: 'join' }));
+
+    assert.strictEqual(lastReceived(socket).type, 'joined');
+    assert.strictEqual(relay.rooms.size, 1);
+});
+
+test('joining without a code creates a room', () => {
+    const relay = new RelayServer();
+    const socket = connect(relay);
+    socket.say({ type: 'join' });
+
+    const joined = lastReceived(socket);
+    assert.strictEqual(joined.type, 'joined');
+    assert.strictEqual(joined.player, 0);
+    assert.match(joined.room, /^[A-HJ-NP-Z]{4}$/);
+    assert.strictEqual(joined.v, PROTOCOL_VERSION);
+    assert.deepStrictEqual([...relay.rooms.keys()], [joined.room]);
+});
+
+test('the second player starts the match with one seed for both', () => {
+    const relay = new RelayServer();
+    const { host, guest, code } = startRoom(relay);
+
+    assert.deepStrictEqual(received(guest)[0], { v: PROTOCOL_VERSION, type: 'joined', room: code, player: 1 });
+    const hostStart = lastReceived(host);
+    const guestStart = lastReceived(guest);
+    assert.strictEqual(hostStart.type, 'start');
+    assert.ok(Number.isInteger(hostStart.seed));
+    assert.deepStrictEqual(guestStart, hostStart);
+});
+
+test('room codes are not case sensitive', () => {
+    const relay = new RelayServer();
+    const host = connect(relay);
+    host.say({ type: 'join' });
+    const guest = connect(relay);
+    guest.say({ type: 'join', room: lastReceived(host).room.toLowerCase() });
+
+    assert.strictEqual(received(guest)[0].type, 'joined');
+});
+
+test('a full room or an unknown code is refused', () => {
+    const relay = new RelayServer();
+    const { code } = startRoom(relay);
+
+    const third = connect(relay);
+    third.say({ type: 'join', room: code });
+    assert.deepStrictEqual(lastReceived(third), { v: PROTOCOL_VERSION, type: 'error', message: 'Room is full' });
+
+    third.say({ type: 'join', room: code === 'ZZZZ' ? 'YYYY' : 'ZZZZ' });
+    assert.deepStrictEqual(lastReceived(third), { v: PROTOCOL_VERSION, type: 'error', message: 'Room not found' });
+
+    third.say({ type: 'join', room: 42 });
+    assert.strictEqual(lastReceived(third).message, 'Room not found');
+    assert.strictEqual(relay.rooms.size, 1);
+});
+
+test('a player can only be in one room', () => {
+    const relay = new RelayServer();
+    const socket = connect(relay);
+    socket.say({ type: 'join' });
+    socket.say({ type: 'join' });
+
+    assert.strictEqual(lastReceived(socket).message, 'Already in a room');
+    assert.strictEqual(relay.rooms.size, 1);
+});
+
+test('game messages reach only the opponent', () => {
+    const relay = new RelayServer();
+    const { host, guest } = startRoom(relay);
+    const other = startRoom(relay);
+    const before = [host, other.host, other.guest].map(socket => received(socket).length);
+
+    guest.say({ type: 'attack', lines: 4 });
+
+    assert.deepStrictEqual(lastReceived(host), { v: PROTOCOL_VERSION, type: 'attack', lines: 4 });
+    assert.strictEqual(lastReceived(guest).type, 'start');
+    assert.deepStrictEqual([host, other.host, other.guest].map(socket => received(socket).length),
+        [before[0] + 1, before[1], before[2]]);
+});
+
+test('game messages need a room first', () => {
+    const socket = connect(new RelayServer());
+    socket.say({ type: 'board', board: [] });
+
+    assert.strictEqual(lastReceived(socket).message, 'Join a room first');
+});
+
+test('unknown types, other protocol versions and bad JSON are rejected', () => {
+    const relay = new RelayServer();
+    const { host, guest } = startRoom(relay);
+    const before = received(guest).length;
+
+    host.say({ type: 'chat', text: 'hi' });
+    assert.strictEqual(lastReceived(host).message, 'Unknown message type');
+
+    host.emit('data', clientFrame({ v: PROTOCOL_VERSION + 1, type: 'board' }));
+    assert.strictEqual(lastReceived(host).message, 'Unsupported protocol version');
+
+    host.emit('data', clientFrame({ type: 'board' }));
+    assert.strictEqual(lastReceived(host).message, 'Unsupported protocol version');
+
+    relay.handleMessage([...relay.connections][0], 'not json');
+    assert.strictEqual(lastReceived(host).message, 'Messages must be JSON');
+
+    assert.strictEqual(received(guest).length, before);
+});
+
+test('a rematch starts once both players ask', () => {
+    const relay = new RelayServer();
+    const { host, guest } = startRoom(relay);
+    const starts = received(host).filter(message => message.type === 'start').length;
+
+    host.say({ type: 'rematch' });
+    assert.strictEqual(received(host).filter(message => message.type === 'start').length, starts);
+
+    guest.say({ type: 'rematch' });
+    assert.strictEqual(lastReceived(host).type, 'start');
+    assert.deepStrictEqual(lastReceived(guest), lastReceived(host));
+});
+
+test('leaving tells the opponent and the last one out closes the room', () => {
+    const relay = new RelayServer();
+    const { host, guest, code } = startRoom(relay);
+
+    host.emit('close');
+    assert.deepStrictEqual(lastReceived(guest), { v: PROTOCOL_VERSION, type: 'left' });
+    assert.strictEqual(relay.rooms.get(code).players.length, 1);
+    assert.strictEqual(relay.connections.size, 1);
+
+    // The seat is free again for someone else
+    const next = connect(relay);
+    next.say({ type: 'join', room: code });
+    assert.strictEqual(lastReceived(next).type, 'start');
+
+    guest.emit('close');
+    next.emit('close');
+    assert.strictEqual(relay.rooms.has(code), false);
+    assert.strictEqual(relay.connections.size, 0);
+});